@@ -1,13 +1,17 @@
 import "./App.css";
-import { BrowserRouter as Router } from "react-router-dom";
+import { BrowserRouter as Router, Route, Switch } from "react-router-dom";
 import MapWithDraw from "./Components/MapWithDraw";
+import DwellDashboard from "./Components/DwellDashboard";
 import { Toaster } from "react-hot-toast";
 function App() {
   return (
     <div className="App">
       <Toaster position="top-right" />
       <Router>
-        <MapWithDraw />
+        <Switch>
+          <Route path="/analytics" component={DwellDashboard} />
+          <Route path="/" component={MapWithDraw} />
+        </Switch>
       </Router>
     </div>
   );
@@ -0,0 +1,271 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link as RouterLink } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  LinearProgress,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { ArrowBack as ArrowBackIcon } from "@mui/icons-material";
+import { BarChart } from "@mui/x-charts/BarChart";
+import dayjs from "dayjs";
+import { formatDuration } from "../utils/geofence";
+import { EMPTY_LOG_FILTERS, fetchAllLogPages } from "../utils/logs";
+import {
+  pairVisits,
+  visitsByDay,
+  visitsByHour,
+  zoneDwellStats,
+} from "../utils/visits";
+
+const INPUT_FORMAT = "YYYY-MM-DDTHH:mm";
+
+const PERIODS = [
+  { value: "24h", label: "Last 24 hours", amount: 24, unit: "hour" },
+  { value: "7d", label: "Last 7 days", amount: 7, unit: "day" },
+  { value: "30d", label: "Last 30 days", amount: 30, unit: "day" },
+  { value: "custom", label: "Custom range" },
+];
+
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) =>
+  String(hour).padStart(2, "0")
+);
+
+const periodRange = (period) => {
+  const now = dayjs();
+  return {
+    from: now.subtract(period.amount, period.unit).format(INPUT_FORMAT),
+    to: now.format(INPUT_FORMAT),
+  };
+};
+
+// Dwell analytics: pairs ENTER/EXIT logs from /logs into visits and
+// summarizes them per zone for the chosen period
+const DwellDashboard = () => {
+  const [period, setPeriod] = useState("7d");
+  const [range, setRange] = useState(() => periodRange(PERIODS[1]));
+  const [zoneFilter, setZoneFilter] = useState("");
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!range.from || !range.to) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+
+    fetchAllLogPages({ ...EMPTY_LOG_FILTERS, ...range })
+      .then((loaded) => {
+        if (!cancelled) setLogs(loaded);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("❌ Failed to load logs for analytics:", err);
+        setError(`Failed to load logs: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range]);
+
+  const visits = useMemo(() => pairVisits(logs), [logs]);
+  const zoneStats = useMemo(() => zoneDwellStats(visits), [visits]);
+
+  // The charts can narrow to one zone; the ranking always shows all of them
+  const chartVisits = useMemo(
+    () =>
+      zoneFilter
+        ? visits.filter((visit) => String(visit.zoneId) === zoneFilter)
+        : visits,
+    [visits, zoneFilter]
+  );
+  const hourly = useMemo(() => visitsByHour(chartVisits), [chartVisits]);
+  const daily = useMemo(
+    () => visitsByDay(chartVisits, range.from, range.to),
+    [chartVisits, range]
+  );
+
+  const totalVisits = zoneStats.reduce((sum, zone) => sum + zone.visits, 0);
+  const completed = zoneStats.reduce((sum, zone) => sum + zone.completed, 0);
+  const totalDwell = zoneStats.reduce((sum, zone) => sum + zone.totalMs, 0);
+
+  const handlePeriodChange = (e) => {
+    const value = e.target.value;
+    setPeriod(value);
+    const preset = PERIODS.find((p) => p.value === value);
+    if (preset.amount) setRange(periodRange(preset));
+  };
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 1200, mx: "auto" }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2 }}>
+        <Button component={RouterLink} to="/" startIcon={<ArrowBackIcon />}>
+          Zone Manager
+        </Button>
+        <Typography variant="h4">📊 Dwell Analytics</Typography>
+      </Box>
+
+      <Box
+        sx={{
+          mb: 2,
+          display: "flex",
+          gap: 2,
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <TextField
+          select
+          label="Period"
+          size="small"
+          value={period}
+          onChange={handlePeriodChange}
+          sx={{ minWidth: 160 }}
+        >
+          {PERIODS.map((p) => (
+            <MenuItem key={p.value} value={p.value}>
+              {p.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="From"
+          type="datetime-local"
+          size="small"
+          value={range.from}
+          disabled={period !== "custom"}
+          onChange={(e) => setRange({ ...range, from: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          type="datetime-local"
+          size="small"
+          value={range.to}
+          disabled={period !== "custom"}
+          onChange={(e) => setRange({ ...range, to: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Chip label={`Visits: ${totalVisits}`} variant="outlined" />
+        <Chip label={`Zones: ${zoneStats.length}`} variant="outlined" />
+        <Chip
+          label={`Average dwell: ${
+            completed ? formatDuration(totalDwell / completed) : "–"
+          }`}
+          variant="outlined"
+        />
+      </Box>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Typography variant="h6" gutterBottom>
+        🏆 Busiest Zones
+      </Typography>
+      <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>#</TableCell>
+              <TableCell>Zone</TableCell>
+              <TableCell align="right">Visits</TableCell>
+              <TableCell align="right">Total dwell</TableCell>
+              <TableCell align="right">Average dwell</TableCell>
+              <TableCell align="right">Longest dwell</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {zoneStats.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6}>
+                  <Typography variant="body2" color="text.secondary">
+                    No zone visits in this period.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              zoneStats.map((zone, index) => (
+                <TableRow
+                  key={zone.zoneId}
+                  hover
+                  selected={String(zone.zoneId) === zoneFilter}
+                  onClick={() =>
+                    setZoneFilter((prev) =>
+                      prev === String(zone.zoneId) ? "" : String(zone.zoneId)
+                    )
+                  }
+                  sx={{ cursor: "pointer" }}
+                >
+                  <TableCell>{index + 1}</TableCell>
+                  <TableCell>{zone.zoneName || zone.zoneId}</TableCell>
+                  <TableCell align="right">{zone.visits}</TableCell>
+                  <TableCell align="right">
+                    {formatDuration(zone.totalMs)}
+                  </TableCell>
+                  <TableCell align="right">
+                    {zone.completed ? formatDuration(zone.averageMs) : "–"}
+                  </TableCell>
+                  <TableCell align="right">
+                    {zone.completed ? formatDuration(zone.maxMs) : "–"}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="h6" gutterBottom>
+        🕒 Visits by Hour of Day
+        {zoneFilter && (
+          <Chip
+            label={
+              zoneStats.find((zone) => String(zone.zoneId) === zoneFilter)
+                ?.zoneName || zoneFilter
+            }
+            size="small"
+            onDelete={() => setZoneFilter("")}
+            sx={{ ml: 1 }}
+          />
+        )}
+      </Typography>
+      <BarChart
+        height={260}
+        xAxis={[{ scaleType: "band", data: HOUR_LABELS }]}
+        series={[{ data: hourly, label: "Visits" }]}
+      />
+
+      <Typography variant="h6" gutterBottom>
+        📅 Visits per Day
+      </Typography>
+      <BarChart
+        height={260}
+        xAxis={[{ scaleType: "band", data: daily.map(({ day }) => day) }]}
+        series={[{ data: daily.map(({ count }) => count), label: "Visits" }]}
+      />
+    </Box>
+  );
+};
+
+export default DwellDashboard;
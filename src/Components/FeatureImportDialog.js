@@ -0,0 +1,168 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { formatZoneArea } from "../utils/geofence";
+import {
+  featurePropertyKeys,
+  featureToZoneFields,
+  guessNameProperty,
+} from "../utils/zoneImport";
+
+// Mapping + preview step for multi-feature imports.
+// features: [{ geojson, properties, source }]; onSubmit receives
+// [{ geojson, fields }] for the features left checked.
+const FeatureImportDialog = ({ features, skipped = 0, onSubmit, onCancel }) => {
+  const keys = useMemo(() => featurePropertyKeys(features), [features]);
+  const [nameKey, setNameKey] = useState("");
+  const [excluded, setExcluded] = useState(new Set());
+
+  useEffect(() => {
+    setNameKey(guessNameProperty(keys));
+    setExcluded(new Set());
+  }, [keys]);
+
+  const rows = useMemo(
+    () =>
+      features.map((feature, index) => {
+        const fields = featureToZoneFields(
+          feature,
+          nameKey,
+          `Zone ${index + 1}`
+        );
+        return {
+          feature,
+          fields,
+          area: formatZoneArea({ ...fields, geojson: feature.geojson }),
+        };
+      }),
+    [features, nameKey]
+  );
+
+  if (features.length === 0) return null;
+
+  const includedCount = features.length - excluded.size;
+
+  const toggleRow = (index) =>
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+
+  const toggleAll = () =>
+    setExcluded(
+      excluded.size === 0 ? new Set(features.map((_, i) => i)) : new Set()
+    );
+
+  const handleImport = () =>
+    onSubmit(
+      rows
+        .filter((_, index) => !excluded.has(index))
+        .map(({ feature, fields }) => ({ geojson: feature.geojson, fields }))
+    );
+
+  return (
+    <Dialog open onClose={onCancel} fullWidth maxWidth="md">
+      <DialogTitle>Import {features.length} features</DialogTitle>
+      <DialogContent>
+        {skipped > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {skipped} features skipped: only Polygon, MultiPolygon and
+            LineString geometries can become zones.
+          </Alert>
+        )}
+        <Box sx={{ display: "flex", gap: 2, alignItems: "center", mb: 2 }}>
+          <TextField
+            select
+            label="Zone name property"
+            value={nameKey}
+            onChange={(e) => setNameKey(e.target.value)}
+            size="small"
+            sx={{ minWidth: 220 }}
+            disabled={keys.length === 0}
+          >
+            {keys.map((key) => (
+              <MenuItem key={key} value={key}>
+                {key}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Typography variant="body2" color="text.secondary">
+            Other properties are kept on the zone; color, category, priority,
+            description and width are applied to the zone itself.
+          </Typography>
+        </Box>
+        <TableContainer sx={{ maxHeight: 400 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={excluded.size === 0}
+                    indeterminate={
+                      excluded.size > 0 && excluded.size < features.length
+                    }
+                    onChange={toggleAll}
+                  />
+                </TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Area</TableCell>
+                <TableCell>Source</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map(({ feature, fields, area }, index) => (
+                <TableRow key={index} hover>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={!excluded.has(index)}
+                      onChange={() => toggleRow(index)}
+                    />
+                  </TableCell>
+                  <TableCell>{fields.name}</TableCell>
+                  <TableCell>{feature.geojson.type}</TableCell>
+                  <TableCell>{area}</TableCell>
+                  <TableCell>{feature.source}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={includedCount === 0}
+        >
+          Import {includedCount} zones
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default FeatureImportDialog;
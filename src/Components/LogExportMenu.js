@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { Button, CircularProgress, Menu, MenuItem } from "@mui/material";
+import { FileDownload as FileDownloadIcon } from "@mui/icons-material";
+import dayjs from "dayjs";
+import toast from "react-hot-toast";
+import { downloadFile } from "../utils/download";
+import { LOG_EXPORT_FORMATS } from "../utils/logExport";
+import { fetchAllLogPages, fetchVisitLogs } from "../utils/logs";
+
+// Downloads every log matching the history table's filters, not just the
+// page on screen
+const LogExportMenu = ({ filters }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setAnchorEl(null);
+    setExporting(true);
+    try {
+      const logs = await fetchAllLogPages(filters);
+      if (logs.length === 0) {
+        toast("No events match the current filters");
+        return;
+      }
+      const visitLogs = await fetchVisitLogs(filters, logs);
+      downloadFile(
+        `zone-events-${dayjs().format("YYYY-MM-DD")}.${format.extension}`,
+        await format.serialize(logs, visitLogs),
+        format.mimeType
+      );
+    } catch (err) {
+      console.error("❌ Log export failed:", err);
+      toast.error(`Log export failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={
+          exporting ? <CircularProgress size={16} /> : <FileDownloadIcon />
+        }
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={exporting}
+      >
+        Export
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        {LOG_EXPORT_FORMATS.map((format) => (
+          <MenuItem key={format.value} onClick={() => handleExport(format)}>
+            {format.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default LogExportMenu;
@@ -0,0 +1,261 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Box, Button, MenuItem, TextField, Typography } from "@mui/material";
+import { DataGrid } from "@mui/x-data-grid";
+import { EVENT_LABELS, eventDetails, formatEventType } from "../utils/events";
+import {
+  EMPTY_LOG_FILTERS,
+  LOG_PAGE_SIZES,
+  fetchLogsPage,
+  logKey,
+  logMatchesFilters,
+  mergeLogs,
+} from "../utils/logs";
+import LogExportMenu from "./LogExportMenu";
+
+const FILTER_DEBOUNCE_MS = 400;
+
+const columns = [
+  {
+    field: "timestamp",
+    headerName: "Time",
+    flex: 1.2,
+    minWidth: 170,
+    valueFormatter: (value) => new Date(value).toLocaleString(),
+  },
+  {
+    field: "type",
+    headerName: "Event",
+    flex: 1,
+    minWidth: 150,
+    valueFormatter: (value) => formatEventType(value),
+  },
+  { field: "zoneName", headerName: "Zone", flex: 1, minWidth: 120 },
+  { field: "zoneId", headerName: "Zone ID", flex: 0.8, sortable: false },
+  { field: "assetId", headerName: "Asset", flex: 0.8, minWidth: 100 },
+  {
+    field: "details",
+    headerName: "Details",
+    flex: 1.4,
+    minWidth: 180,
+    sortable: false,
+    valueGetter: (value, row) => eventDetails(row),
+  },
+];
+
+// Event history backed by paged /logs requests. Sorting, paging and the
+// filters all run on the server; the grid only renders the rows in view.
+// Live entries are slotted into the first page when it shows the newest events.
+const LogHistoryTable = ({ zones, liveLogs, newLogKeys, onAssetsSeen }) => {
+  const [filters, setFilters] = useState(EMPTY_LOG_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_LOG_FILTERS);
+  const [paginationModel, setPaginationModel] = useState({
+    page: 0,
+    pageSize: LOG_PAGE_SIZES[0],
+  });
+  const [sortModel, setSortModel] = useState([
+    { field: "timestamp", sort: "desc" },
+  ]);
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const countedLiveKeysRef = useRef(new Set());
+  const liveLogsRef = useRef(liveLogs);
+  liveLogsRef.current = liveLogs;
+
+  // Typing in the asset box should not fire a request per keystroke
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setAppliedFilters(filters);
+      setPaginationModel((prev) =>
+        prev.page === 0 ? prev : { ...prev, page: 0 }
+      );
+    }, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [filters]);
+
+  const query = useMemo(
+    () => ({
+      page: paginationModel.page,
+      pageSize: paginationModel.pageSize,
+      sortField: sortModel[0]?.field || "timestamp",
+      sortOrder: sortModel[0]?.sort || "desc",
+      filters: appliedFilters,
+    }),
+    [paginationModel, sortModel, appliedFilters]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+
+    fetchLogsPage(query)
+      .then((page) => {
+        if (cancelled) return;
+        // The fetched total already covers this session's live entries, on
+        // this page or not; only ones arriving after it are new
+        countedLiveKeysRef.current = new Set(
+          [...page.rows, ...liveLogsRef.current].map(logKey)
+        );
+        setRows(page.rows);
+        setTotal(page.total);
+        onAssetsSeen?.([
+          ...new Set(
+            page.rows
+              .filter((log) => log.assetId)
+              .map((log) => String(log.assetId))
+          ),
+        ]);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("❌ Failed to fetch logs:", err);
+        setError(`Failed to fetch logs: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, onAssetsSeen]);
+
+  // Other pages and sort orders pick live entries up on their next fetch
+  const showsNewest =
+    query.page === 0 &&
+    query.sortField === "timestamp" &&
+    query.sortOrder === "desc";
+
+  useEffect(() => {
+    if (!showsNewest) return;
+
+    const counted = countedLiveKeysRef.current;
+    const arrivals = liveLogs.filter(
+      (log) =>
+        !counted.has(logKey(log)) && logMatchesFilters(log, query.filters)
+    );
+    if (arrivals.length === 0) return;
+
+    arrivals.forEach((log) => counted.add(logKey(log)));
+    setRows((prev) => mergeLogs(prev, arrivals).slice(0, query.pageSize));
+    setTotal((prev) => prev + arrivals.length);
+  }, [liveLogs, showsNewest, query]);
+
+  const updateFilter = (name) => (e) =>
+    setFilters((prev) => ({ ...prev, [name]: e.target.value }));
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <Box>
+      <Box
+        sx={{
+          mb: 2,
+          display: "flex",
+          gap: 2,
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <TextField
+          label="From"
+          type="datetime-local"
+          size="small"
+          value={filters.from}
+          onChange={updateFilter("from")}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          type="datetime-local"
+          size="small"
+          value={filters.to}
+          onChange={updateFilter("to")}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          select
+          label="Zone"
+          size="small"
+          value={filters.zoneId}
+          onChange={updateFilter("zoneId")}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All zones</MenuItem>
+          {zones.map((zone) => (
+            <MenuItem key={zone.id} value={String(zone.id)}>
+              {zone.name}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          label="Event"
+          size="small"
+          value={filters.type}
+          onChange={updateFilter("type")}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All events</MenuItem>
+          {Object.entries(EVENT_LABELS).map(([type, label]) => (
+            <MenuItem key={type} value={type}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Asset"
+          size="small"
+          value={filters.assetId}
+          onChange={updateFilter("assetId")}
+          sx={{ width: 140 }}
+        />
+        <Button
+          onClick={() => setFilters(EMPTY_LOG_FILTERS)}
+          disabled={!hasFilters}
+        >
+          Clear filters
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <LogExportMenu filters={appliedFilters} />
+      </Box>
+
+      {error && (
+        <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+          ❌ {error}
+        </Typography>
+      )}
+
+      <Box sx={{ height: 480 }}>
+        <DataGrid
+          rows={rows}
+          columns={columns}
+          getRowId={logKey}
+          rowCount={total}
+          loading={loading}
+          paginationMode="server"
+          sortingMode="server"
+          paginationModel={paginationModel}
+          onPaginationModelChange={setPaginationModel}
+          pageSizeOptions={LOG_PAGE_SIZES}
+          sortModel={sortModel}
+          onSortModelChange={setSortModel}
+          disableColumnFilter
+          disableRowSelectionOnClick
+          density="compact"
+          getRowClassName={({ row }) =>
+            newLogKeys.includes(logKey(row)) ? "log-row-new" : ""
+          }
+          sx={{
+            "& .MuiDataGrid-row": { transition: "background-color 1s" },
+            "& .log-row-new": { bgcolor: "action.selected" },
+          }}
+        />
+      </Box>
+    </Box>
+  );
+};
+
+export default LogHistoryTable;
@@ -0,0 +1,37 @@
+import { render, screen } from "@testing-library/react";
+import LogHistoryTable from "./LogHistoryTable";
+import { fetchLogsPage } from "../utils/logs";
+
+jest.mock("../utils/logs", () => ({
+  ...jest.requireActual("../utils/logs"),
+  fetchLogsPage: jest.fn(),
+}));
+
+const log = (minute) => ({
+  type: "ENTER",
+  zoneId: "z1",
+  zoneName: "Yard",
+  assetId: "truck-1",
+  timestamp: `2024-07-03T10:${String(minute).padStart(2, "0")}:00.000Z`,
+});
+
+test("counts only live entries that arrive after a fetch", async () => {
+  // Both session entries are stored; the newest-first page holds only one
+  // of them, as if the other sat on a later page
+  const session = [log(2), log(1)];
+  fetchLogsPage.mockResolvedValue({ rows: [log(2)], total: 40 });
+
+  const { rerender } = render(
+    <LogHistoryTable zones={[]} liveLogs={session} newLogKeys={[]} />
+  );
+  expect(await screen.findByText(/of 40/)).toBeInTheDocument();
+
+  rerender(
+    <LogHistoryTable
+      zones={[]}
+      liveLogs={[log(3), ...session]}
+      newLogKeys={[]}
+    />
+  );
+  expect(await screen.findByText(/of 41/)).toBeInTheDocument();
+});
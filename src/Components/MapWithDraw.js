@@ -1,4 +1,10 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
+import React, {
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useCallback,
+} from "react";
 import {
   Box,
   Typography,
@@ -7,32 +13,88 @@ import {
   List,
   ListItem,
   ListItemText,
+  ListItemIcon,
+  ListSubheader,
   Alert,
+  Checkbox,
   LinearProgress,
   Chip,
-  Card,
-  CardContent,
-  CardActions,
-  Grid,
   IconButton,
   Tooltip,
-  Select,
-  MenuItem,
 } from "@mui/material";
 import {
+  BarChart as BarChartIcon,
   Delete as DeleteIcon,
+  Edit as EditIcon,
   Refresh as RefreshIcon,
+  Tune as TuneIcon,
 } from "@mui/icons-material";
+import { Link as RouterLink } from "react-router-dom";
 import { Loader } from "@googlemaps/js-api-loader";
+import toast from "react-hot-toast";
+import { apiUrl } from "../utils/api";
+import {
+  corridorWidth,
+  formatDuration,
+  isCorridorZone,
+  transitionType,
+} from "../utils/geofence";
+import { EVENT_ICONS, eventDetails, eventLabel } from "../utils/events";
+import { dwellLimits, isDwellTooShort } from "../utils/dwellRules";
+import {
+  confirmTransitions,
+  resolveHysteresis,
+  zonesWithHysteresis,
+} from "../utils/hysteresis";
+import { findApproaches } from "../utils/approach";
+import { speedLimit, trackOverspeed } from "../utils/speedLimits";
+import { isZoneActive, scheduleSummary } from "../utils/zoneSchedule";
+import { filterFix, resolvePositionFilter } from "../utils/positionFilter";
+import {
+  groupZonesByCategory,
+  priorityLabel,
+  zoneProperties,
+} from "../utils/zoneProperties";
+import { parseZoneGeoJSON } from "../utils/zoneImport";
+import { parseKml, readKmz } from "../utils/kmlImport";
+import {
+  createZoneOverlay,
+  pathsToGeoJSON,
+  polygonPaths,
+  zoneActivityOptions,
+} from "../utils/zoneOverlays";
+import {
+  createLocationFeed,
+  DEFAULT_ASSET_ID,
+  feedStatusColor,
+  feedStatusLabel,
+  resolveFeedMode,
+} from "../utils/locationFeed";
+import { CLIENT_ID, currentUserName } from "../utils/currentUser";
+import { mergeLogs, unseenLogKeys } from "../utils/logs";
+import FeatureImportDialog from "./FeatureImportDialog";
+import ZoneCreateDialog from "./ZoneCreateDialog";
+import ZoneExportMenu from "./ZoneExportMenu";
+import ZonePropertiesDialog from "./ZonePropertiesDialog";
+import TrackPlaybackPanel from "./TrackPlaybackPanel";
+import LogHistoryTable from "./LogHistoryTable";
+import VisitTimeline from "./VisitTimeline";
 
 // Mock API configuration - replace with your actual values
 const GOOGLE_MAP_API_KEY = process.env.REACT_APP_GOOGLEAPI;
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL;
 const WS_API_ENDPOINT = `${process.env.REACT_APP_WS_URL}/$default`;
-
-function apiUrl(path) {
-  return `${API_BASE_URL}${path}`;
-}
+const SSE_API_ENDPOINT =
+  process.env.REACT_APP_SSE_URL || apiUrl("/location-stream");
+const LOCATION_FEED_MODE = resolveFeedMode();
+const HYSTERESIS = resolveHysteresis();
+const POSITION_FILTER = resolvePositionFilter();
+
+const DEFAULT_CENTER = { lat: 40.7825, lng: -73.965 };
+const TRAIL_LENGTH = 100; // breadcrumb fixes kept per asset
+const LOG_HIGHLIGHT_MS = 8000; // how long live history entries stay highlighted
+const LIVE_LOG_LIMIT = 500; // live entries kept for the history table
+const REJECTED_FIX_LIMIT = 50; // rejected fixes kept for the debug overlay
+const SCHEDULE_TICK_MS = 60000; // how often zone schedules are re-evaluated
 
 // Validation schemas (simplified)
 const validateZone = (zone) => {
@@ -46,17 +108,46 @@ const validateZone = (zone) => {
   );
 };
 
+// POST /zone may echo the stored zone; without an id, peers reload instead
+const savedZoneFromResponse = async (res, submitted) => {
+  try {
+    const body = await res.json();
+    const zone = { ...submitted, ...(body && body.zone ? body.zone : body) };
+    return validateZone(zone) ? zone : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Dispatches on extension: KML/KMZ from Google Earth, anything else as GeoJSON
+const parseZoneFile = async (file) => {
+  if (/\.kmz$/i.test(file.name)) {
+    return parseKml(await readKmz(await file.arrayBuffer()));
+  }
+  if (/\.kml$/i.test(file.name)) {
+    return parseKml(await file.text());
+  }
+  return parseZoneGeoJSON(JSON.parse(await file.text())); //Parses the text as JSON
+};
+
 const ZoneManager = () => {
   const mapRef = useRef(null);
-  const markerRef = useRef(null);
+  const markersRef = useRef({}); // assetId -> google.maps.Marker
+  const trailsRef = useRef({}); // assetId -> google.maps.Polyline breadcrumb
   const mapInstanceRef = useRef(null);
   const drawingManagerRef = useRef(null);
   const fileInputRef = useRef(null);
   const zoneOverlaysRef = useRef([]);
-  const lastZoneRef = useRef(null);
-  const wsRef = useRef(null);
-  const reconnectTimeoutRef = useRef(null);
-  const zoneEntryTimeRef = useRef(null);
+  const assetZonesRef = useRef({}); // assetId -> { zoneId: { zone, entryTime } }
+  const dwellTimersRef = useRef({}); // "assetId|zoneId" -> timeout id
+  const pendingTransitionsRef = useRef({}); // assetId -> unconfirmed changes
+  const heldTransitionsRef = useRef({}); // "assetId|zoneId" -> unreported event
+  const positionFiltersRef = useRef({}); // assetId -> position filter state
+  const approachNearRef = useRef({}); // assetId -> { zoneId: true } approached
+  const overspeedRef = useRef({}); // assetId -> open overspeed stretches
+  const editSessionRef = useRef(null);
+  const feedRef = useRef(null);
+  const playbackRef = useRef(null);
 
   // State management
   const [mapLoaded, setMapLoaded] = useState(false);
@@ -64,18 +155,44 @@ const ZoneManager = () => {
   const [zones, setZones] = useState([]);
   const [uploadStatus, setUploadStatus] = useState("");
   const [loading, setLoading] = useState(false);
-  const [wsStatus, setWsStatus] = useState("Disconnected");
-  const [assetPosition, setAssetPosition] = useState({
-    lat: 40.7825,
-    lng: -73.965,
+  const [feedStatus, setFeedStatus] = useState({
+    mode: LOCATION_FEED_MODE,
+    transport: LOCATION_FEED_MODE,
+    state: "connecting",
   });
-  const [inZone, setInZone] = useState(false);
+  const [assetPositions, setAssetPositions] = useState({});
+  const [rejectedFixes, setRejectedFixes] = useState([]); // newest first
+  const [showRejectedFixes, setShowRejectedFixes] = useState(false);
   const [eventLog, setEventLog] = useState([]);
-  const [allLogs, setAllLogs] = useState([]);
-  const [currentZone, setCurrentZone] = useState(null);
+  const [liveLogs, setLiveLogs] = useState([]); // events seen this session
+  const [historyAssetIds, setHistoryAssetIds] = useState([]);
+  const [playbackRequest, setPlaybackRequest] = useState(null);
+  const [newLogKeys, setNewLogKeys] = useState([]);
+  const [assetZones, setAssetZones] = useState({});
   const [assetMoving, setAssetMoving] = useState(true);
   const [zoneVisibility, setZoneVisibility] = useState({});
-  const [selectedZoneFilter, setSelectedZoneFilter] = useState("All");
+  const [editingZoneId, setEditingZoneId] = useState(null);
+  const [shapeDirty, setShapeDirty] = useState(false);
+  const [detailsZone, setDetailsZone] = useState(null);
+  const [zoneDrafts, setZoneDrafts] = useState([]);
+  const [featureImport, setFeatureImport] = useState(null); // { features, skipped }
+  const [selectedZoneIds, setSelectedZoneIds] = useState([]);
+  const [scheduleClock, setScheduleClock] = useState(Date.now());
+
+  // Zones armed right now; scheduled zones outside their windows are dormant
+  const activeZoneIds = useMemo(
+    () =>
+      new Set(
+        zones
+          .filter((zone) => isZoneActive(zone, scheduleClock))
+          .map((zone) => String(zone.id))
+      ),
+    [zones, scheduleClock]
+  );
+  const activeZones = useMemo(
+    () => zones.filter((zone) => activeZoneIds.has(String(zone.id))),
+    [zones, activeZoneIds]
+  );
 
   // Clear existing zone overlays from map
   const clearZoneOverlays = useCallback(() => {
@@ -87,6 +204,91 @@ const ZoneManager = () => {
     zoneOverlaysRef.current = [];
   }, []);
 
+  const removeZoneOverlay = useCallback((zoneId) => {
+    zoneOverlaysRef.current = zoneOverlaysRef.current.filter(
+      ({ id, overlay }) => {
+        if (String(id) !== String(zoneId)) return true;
+        if (overlay && overlay.setMap) {
+          overlay.setMap(null);
+        }
+        return false;
+      }
+    );
+  }, []);
+
+  // Drops a zone from the map and every piece of state that references it
+  const removeZoneLocally = useCallback(
+    (zoneId) => {
+      const matches = (id) => String(id) === String(zoneId);
+
+      removeZoneOverlay(zoneId);
+      Object.keys(dwellTimersRef.current)
+        .filter((key) => key.endsWith(`|${zoneId}`))
+        .forEach((key) => {
+          clearTimeout(dwellTimersRef.current[key]);
+          delete dwellTimersRef.current[key];
+        });
+      Object.keys(heldTransitionsRef.current)
+        .filter((key) => key.endsWith(`|${zoneId}`))
+        .forEach((key) => {
+          clearTimeout(heldTransitionsRef.current[key].timer);
+          delete heldTransitionsRef.current[key];
+        });
+      setZones((prev) => prev.filter((z) => !matches(z.id)));
+      setZoneVisibility((prev) => {
+        const newState = { ...prev };
+        delete newState[zoneId];
+        return newState;
+      });
+      setSelectedZoneIds((prev) => prev.filter((id) => !matches(id)));
+      setDetailsZone((prev) => (prev && matches(prev.id) ? null : prev));
+    },
+    [removeZoneOverlay]
+  );
+
+  // Adds or replaces a single zone, keeping it hidden if the user hid it
+  const upsertZoneLocally = useCallback(
+    (zone) => {
+      removeZoneOverlay(zone.id);
+      setZones((prev) => {
+        const exists = prev.some((z) => String(z.id) === String(zone.id));
+        return exists
+          ? prev.map((z) => (String(z.id) === String(zone.id) ? zone : z))
+          : [...prev, zone];
+      });
+
+      let overlay;
+      try {
+        overlay = createZoneOverlay(zone);
+      } catch (err) {
+        // Degenerate geometry: keep the zone listed but don't draw it
+        console.error(`❌ Cannot draw zone "${zone.name}":`, err);
+        setUploadStatus(`⚠️ Zone "${zone.name}" has invalid geometry`);
+        return;
+      }
+      if (!overlay) return;
+      zoneOverlaysRef.current.push({ id: zone.id, overlay });
+
+      setZoneVisibility((prev) => {
+        const visible = prev[zone.id] !== false;
+        overlay.setMap(visible ? mapInstanceRef.current : null);
+        return { ...prev, [zone.id]: visible };
+      });
+    },
+    [removeZoneOverlay]
+  );
+
+  // Tells other dispatchers about a zone change made here
+  const broadcastZoneChange = useCallback((message) => {
+    feedRef.current?.send({
+      action: "default",
+      ...message,
+      user: currentUserName(),
+      clientId: CLIENT_ID,
+      timestamp: new Date().toISOString(),
+    });
+  }, []);
+
   // Load Google Maps API
 
   useEffect(() => {
@@ -120,17 +322,9 @@ const ZoneManager = () => {
     }
   }, [mapLoaded, mapInitialized]);
 
-  const handleDrawingComplete = useCallback(async (event) => {
+  // Converts the drawn shape to GeoJSON and hands it to the zone creation dialog
+  const handleDrawingComplete = useCallback((event) => {
     let geojson;
-    const name = prompt("Enter Zone Name");
-
-    if (!name || name.trim() === "") {
-      alert("Zone name cannot be empty.");
-      if (event.overlay && event.overlay.setMap) {
-        event.overlay.setMap(null); // Remove draw shape from map
-      }
-      return;
-    }
 
     try {
       switch (event.type) {
@@ -222,10 +416,10 @@ const ZoneManager = () => {
         event.overlay.setMap(null); //Removes the drawn shape from the map. render from database savezone
       }
 
-      await saveZone(name.trim(), geojson);
+      setZoneDrafts([{ geojson, suggestedName: "", source: "Drawn shape" }]);
     } catch (error) {
       // console.error("Drawing error:", error);
-      alert(error.message);
+      setUploadStatus(`❌ ${error.message}`);
       if (event.overlay && event.overlay.setMap) {
         event.overlay.setMap(null);
       }
@@ -252,19 +446,16 @@ const ZoneManager = () => {
       setZones(validatedZones);
       clearZoneOverlays();
 
+      const skipped = [];
       validatedZones.forEach((zone) => {
         let overlay;
-
-        if (zone.geojson.type === "Polygon") {
-          overlay = new window.google.maps.Polygon({
-            paths: zone.geojson.coordinates[0].map(([lng, lat]) => ({
-              lat,
-              lng,
-            })),
-            strokeColor: "#FF0000",
-            fillColor: "#FF0000",
-            fillOpacity: 0.2,
-          });
+        try {
+          overlay = createZoneOverlay(zone);
+        } catch (err) {
+          // One bad geometry must not stop the remaining zones from drawing
+          console.error(`❌ Cannot draw zone "${zone.name}":`, err);
+          skipped.push(zone.name);
+          return;
         }
 
         if (overlay) {
@@ -273,6 +464,11 @@ const ZoneManager = () => {
           setZoneVisibility((prev) => ({ ...prev, [zone.id]: true })); // Set visibility state
         }
       });
+      if (skipped.length) {
+        setUploadStatus(
+          `⚠️ Skipped zones with invalid geometry: ${skipped.join(", ")}`
+        );
+      }
 
       // console.log("✅ Zones loaded successfully");
     } catch (err) {
@@ -283,6 +479,44 @@ const ZoneManager = () => {
     }
   }, [clearZoneOverlays]);
 
+  // Returns the marker for an asset, creating it on first sight
+  const getAssetMarker = useCallback((assetId) => {
+    if (!markersRef.current[assetId]) {
+      markersRef.current[assetId] = new window.google.maps.Marker({
+        map: mapInstanceRef.current,
+        title: `Asset ${assetId}`,
+        icon: {
+          url: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png",
+          scaledSize: new window.google.maps.Size(40, 40),
+        },
+      });
+    }
+    return markersRef.current[assetId];
+  }, []);
+
+  // Appends a fix to the asset's breadcrumb trail, keeping the last TRAIL_LENGTH
+  const extendAssetTrail = useCallback((assetId, position) => {
+    if (!trailsRef.current[assetId]) {
+      trailsRef.current[assetId] = new window.google.maps.Polyline({
+        map: mapInstanceRef.current,
+        strokeColor: "#1976D2",
+        strokeOpacity: 0.6,
+        strokeWeight: 2,
+      });
+    }
+
+    const path = trailsRef.current[assetId].getPath();
+    const last = path.getLength() ? path.getAt(path.getLength() - 1) : null;
+    if (last && last.lat() === position.lat && last.lng() === position.lng) {
+      return; // no movement since the last fix
+    }
+
+    path.push(new window.google.maps.LatLng(position.lat, position.lng));
+    if (path.getLength() > TRAIL_LENGTH) {
+      path.removeAt(0);
+    }
+  }, []);
+
   const initMap = useCallback(() => {
     if (!mapRef.current || !window.google || mapInstanceRef.current) {
       return;
@@ -293,7 +527,7 @@ const ZoneManager = () => {
     try {
       // Creates the Google Map inside the mapRef DOM element.
       const map = new window.google.maps.Map(mapRef.current, {
-        center: assetPosition,
+        center: DEFAULT_CENTER,
         zoom: 15,
         mapTypeControl: true,
         streetViewControl: true,
@@ -361,19 +595,6 @@ const ZoneManager = () => {
         handleDrawingComplete
       );
 
-      // Create initial asset marker
-      const marker = new window.google.maps.Marker({
-        position: assetPosition,
-        map: map,
-        title: "Live Asset Location",
-        icon: {
-          url: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png",
-          scaledSize: new window.google.maps.Size(40, 40),
-        },
-      });
-
-      markerRef.current = marker;
-
       setMapInitialized(true);
       // console.log("✅ Map initialized successfully");
 
@@ -382,10 +603,10 @@ const ZoneManager = () => {
       console.error("❌ Map initialization failed:", error);
       setUploadStatus(`❌ Map initialization failed: ${error.message}`);
     }
-  }, [assetPosition, handleDrawingComplete, loadZones]);
+  }, [handleDrawingComplete, loadZones]);
 
   const saveZone = useCallback(
-    async (name, geojson) => {
+    async (name, geojson, properties = {}) => {
       setLoading(true);
       try {
         // console.log("💾 Saving zone:", name);
@@ -395,7 +616,7 @@ const ZoneManager = () => {
           headers: {
             "Content-Type": "application/json",
           },
-          body: JSON.stringify({ name, geojson }),
+          body: JSON.stringify({ name, geojson, ...properties }),
         });
 
         if (!res.ok) throw new Error("Failed to save");
@@ -403,44 +624,103 @@ const ZoneManager = () => {
         // console.log("✅ Zone saved:", name);
         setUploadStatus(`✅ Zone "${name}" saved successfully!`);
 
+        const zone = await savedZoneFromResponse(res, {
+          name,
+          geojson,
+          ...properties,
+        });
+        broadcastZoneChange({
+          type: "zone-update",
+          zoneId: zone?.id,
+          zoneName: name,
+          zone: zone || undefined,
+        });
+
         await loadZones();
+        return true;
       } catch (err) {
         console.error("❌ Failed to save zone:", err);
         setUploadStatus(`❌ Failed to save zone: ${err.message}`);
+        return false;
       } finally {
         setLoading(false);
       }
     },
-    [loadZones]
+    [loadZones, broadcastZoneChange]
   );
 
-  const sendEmailAlert = useCallback(async (eventType, zone, point) => {
-    const body = {
-      type: eventType,
-      zoneId: zone.id,
-      zoneName: zone.name,
-      geojson: zone.geojson,
-      point,
-      timestamp: new Date().toISOString(),
-    };
+  // PUT the full zone with the given fields replaced
+  const updateZone = useCallback(
+    async (zone, changes) => {
+      setLoading(true);
+      try {
+        const { id, ...fields } = { ...zone, ...changes };
 
-    try {
-      const res = await fetch(apiUrl("/alert"), {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
+        const res = await fetch(apiUrl(`/zone/${id}`), {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(fields),
+        });
 
-      if (!res.ok) {
-        const errorText = await res.text();
-        throw new Error(`HTTP ${res.status}: ${res.statusText} - ${errorText}`);
+        if (!res.ok) throw new Error("Failed to update");
+
+        setUploadStatus(`✅ Zone "${fields.name}" updated successfully!`);
+        broadcastZoneChange({
+          type: "zone-update",
+          zoneId: id,
+          zoneName: fields.name,
+          zone: { id, ...fields },
+        });
+
+        await loadZones();
+        return true;
+      } catch (err) {
+        console.error("❌ Failed to update zone:", err);
+        setUploadStatus(`❌ Failed to update zone: ${err.message}`);
+        return false;
+      } finally {
+        setLoading(false);
       }
+    },
+    [loadZones, broadcastZoneChange]
+  );
 
-      // console.log("✅ Email alert sent:", body);
-    } catch (err) {
-      console.error("❌ Failed to send email alert:", err);
-    }
-  }, []);
+  const sendEmailAlert = useCallback(
+    async (eventType, zone, point, assetId, details = {}) => {
+      const body = {
+        type: eventType,
+        assetId,
+        zoneId: zone.id,
+        zoneName: zone.name,
+        geojson: zone.geojson,
+        point,
+        timestamp: new Date().toISOString(),
+        ...details,
+      };
+
+      try {
+        const res = await fetch(apiUrl("/alert"), {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+
+        if (!res.ok) {
+          const errorText = await res.text();
+          throw new Error(
+            `HTTP ${res.status}: ${res.statusText} - ${errorText}`
+          );
+        }
+
+        // console.log("✅ Email alert sent:", body);
+      } catch (err) {
+        console.error("❌ Failed to send email alert:", err);
+      }
+    },
+    []
+  );
 
   const logEventToDB = useCallback(
     async (type, zoneName, zoneId, timestamp) => {
@@ -479,34 +759,9 @@ const ZoneManager = () => {
         throw new Error("Failed to delete zone from server");
       }
 
-      const remainingOverlays = zoneOverlaysRef.current.filter((z) => {
-        if (z.id === zoneId) {
-          if (z.overlay && z.overlay.setMap) {
-            z.overlay.setMap(null);
-          }
-          return false;
-        }
-        return true;
-      });
-      zoneOverlaysRef.current = remainingOverlays;
-
-      setZones((prev) => prev.filter((z) => z.id !== zoneId));
-      setZoneVisibility((prev) => {
-        const newState = { ...prev };
-        delete newState[zoneId];
-        return newState;
-      });
-
-      if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-        wsRef.current.send(
-          JSON.stringify({
-            action: "default",
-            type: "zone-delete",
-            zoneId,
-            timestamp: new Date().toISOString(),
-          })
-        );
-      }
+      const zoneName = zones.find((z) => z.id === zoneId)?.name;
+      removeZoneLocally(zoneId);
+      broadcastZoneChange({ type: "zone-delete", zoneId, zoneName });
 
       // console.log("✅ Zone deleted successfully");
       setUploadStatus("✅ Zone deleted successfully");
@@ -518,78 +773,111 @@ const ZoneManager = () => {
     }
   };
 
-  const handleFileUpload = useCallback(
-    async (event) => {
-      const files = event.target.files;
-      if (!files || files.length === 0) return;
+  const handleFileUpload = useCallback(async (event) => {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
 
-      setLoading(true);
-      let successCount = 0;
-      let errorCount = 0;
+    setLoading(true);
+    const features = [];
+    const failures = [];
+    let hasFeatureFiles = false;
+    let skipped = 0;
 
-      for (let file of files) {
-        try {
-          const text = await file.text(); //Reads the file as plain text
-          const json = JSON.parse(text); //Parses the text as JSON
+    for (let file of files) {
+      try {
+        const parsed = await parseZoneFile(file);
+        const baseName = file.name.replace(/\.(geo)?json$/i, "");
+
+        hasFeatureFiles = hasFeatureFiles || parsed.kind === "features";
+        skipped += parsed.skipped;
+        parsed.features.forEach((feature) =>
+          features.push({
+            ...feature,
+            properties:
+              parsed.kind === "geometry"
+                ? { name: baseName }
+                : feature.properties,
+            source: file.name,
+          })
+        );
+      } catch (err) {
+        console.error(`Error processing ${file.name}:`, err);
+        failures.push(`${file.name}: ${err.message}`);
+      }
+    }
 
-          if (!json.type || !json.coordinates) {
-            throw new Error("Invalid GeoJSON format");
-          }
+    if (failures.length > 0) {
+      setUploadStatus(`❌ Error processing ${failures.join("; ")}`);
+    }
 
-          if (!["Polygon", "MultiPolygon", "LineString"].includes(json.type)) {
-            throw new Error(
-              "Only Polygon, MultiPolygon, or LineString supported"
-            );
-          }
+    // Bare geometries go straight to the creation dialog; anything with
+    // feature properties goes through the mapping/preview step first
+    if (hasFeatureFiles) {
+      setFeatureImport({ features, skipped });
+    } else if (features.length > 0) {
+      setZoneDrafts(
+        features.map(({ geojson, properties, source }) => ({
+          geojson,
+          suggestedName: properties.name,
+          source,
+        }))
+      );
+    }
 
-          const name =
-            prompt(`Enter a name for zone in ${file.name}`) ||
-            file.name.replace(".geojson", "");
+    if (fileInputRef.current) {
+      fileInputRef.current.value = ""; //block re-uploads
+    }
 
-          if (!name || name.trim() === "") {
-            throw new Error("Zone name is required");
-          }
+    setLoading(false);
+  }, []);
+
+  // Saves the zones confirmed in the creation or import dialog
+  const handleCreateZones = useCallback(
+    async (entries) => {
+      setZoneDrafts([]);
+      setFeatureImport(null);
 
-          await saveZone(name.trim(), json);
+      let successCount = 0;
+      for (const { geojson, fields } of entries) {
+        const { name, ...properties } = fields;
+        if (await saveZone(name, geojson, properties)) {
           successCount++;
-        } catch (err) {
-          console.error(`Error processing ${file.name}:`, err);
-          errorCount++;
-          setUploadStatus(`❌ Error processing ${file.name}: ${err.message}`);
         }
       }
 
-      if (successCount > 0) {
+      if (entries.length > 1 && successCount > 0) {
         setUploadStatus(`✅ Successfully uploaded ${successCount} zones`);
       }
-
-      if (fileInputRef.current) {
-        fileInputRef.current.value = ""; //block re-uploads
-      }
-
-      setLoading(false);
     },
     [saveZone]
   );
 
-  const fetchAllLogs = useCallback(async () => {
-    try {
-      // console.log("📊 Fetching all logs...");
-
-      const res = await fetch(apiUrl("/logs"));
-      if (!res.ok) throw new Error(`Failed to fetch: ${res.statusText}`);
+  // Adds entries from the push channel (or posted here) and highlights new ones
+  const liveLogsRef = useRef(liveLogs);
+  liveLogsRef.current = liveLogs;
+  const appendLiveLogs = useCallback((entries) => {
+    const fresh = unseenLogKeys(liveLogsRef.current, entries);
+    setLiveLogs((prev) => mergeLogs(prev, entries).slice(0, LIVE_LOG_LIMIT));
+    if (fresh.length === 0) return;
+
+    setNewLogKeys((prev) => [...prev, ...fresh]);
+    setTimeout(() => {
+      setNewLogKeys((prev) => prev.filter((key) => !fresh.includes(key)));
+    }, LOG_HIGHLIGHT_MS);
+  }, []);
 
-      const data = await res.json();
-      const sortedLogs = data.sort(
-        (a, b) =>
-          new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
-      );
+  // Lets playback offer assets that only appear in past events
+  const addHistoryAssetIds = useCallback((ids) => {
+    setHistoryAssetIds((prev) => {
+      const added = ids.filter((id) => !prev.includes(id));
+      return added.length ? [...prev, ...added] : prev;
+    });
+  }, []);
 
-      setAllLogs(sortedLogs);
-    } catch (err) {
-      console.error("❌ Failed to fetch logs:", err);
-      setUploadStatus("❌ Failed to fetch logs");
-    }
+  // Timeline bar clicked: replay that asset over the visit
+  const playVisit = useCallback((request) => {
+    setPlaybackRequest(request);
+    playbackRef.current?.scrollIntoView({ behavior: "smooth" });
   }, []);
 
   const toggleZoneVisibility = useCallback((zoneId) => {
@@ -610,153 +898,674 @@ const ZoneManager = () => {
     });
   }, []);
 
-  // Geofencing logic
-  const checkGeofencing = useCallback(
-    (newPosition) => {
-      if (!zones.length) return; //no zones defined, there’s nothing to check
+  const toggleZoneSelection = useCallback((zoneId) => {
+    setSelectedZoneIds((prev) =>
+      prev.includes(zoneId)
+        ? prev.filter((id) => id !== zoneId)
+        : [...prev, zoneId]
+    );
+  }, []);
 
-      const point = [newPosition.lng, newPosition.lat];
-      let matchedZone = null;
-
-      //  ray-casting algorithm
-      for (let zone of zones) {
-        if (zone.geojson.type === "Polygon") {
-          try {
-            const polygon = zone.geojson.coordinates[0];
-            let inside = false;
-
-            for (
-              let i = 0, j = polygon.length - 1;
-              i < polygon.length;
-              j = i++
-            ) {
-              if (
-                polygon[i][1] > point[1] !== polygon[j][1] > point[1] &&
-                point[0] <
-                  ((polygon[j][0] - polygon[i][0]) *
-                    (point[1] - polygon[i][1])) /
-                    (polygon[j][1] - polygon[i][1]) +
-                    polygon[i][0]
-              ) {
-                inside = !inside;
-              }
-            }
-
-            if (inside) {
-              matchedZone = zone;
-              break;
-            }
-          } catch (error) {
-            console.warn("Error checking zone intersection:", error);
-          }
+  const saveZoneDetails = useCallback(
+    async (zone, fields) => {
+      const saved = await updateZone(zone, fields);
+      if (saved) {
+        setDetailsZone(null);
+      }
+    },
+    [updateZone]
+  );
+
+  // Shape editing: one zone at a time. Corridors are edited through a
+  // temporary centre-line polyline since their overlay is the buffered band.
+  const endShapeEdit = useCallback(() => {
+    const session = editSessionRef.current;
+    if (!session) return;
+
+    session.listeners.forEach((listener) => listener.remove());
+    if (session.temporary) {
+      session.target.setMap(null);
+    } else {
+      session.target.setEditable(false);
+    }
+
+    editSessionRef.current = null;
+    setEditingZoneId(null);
+    setShapeDirty(false);
+  }, []);
+
+  const startShapeEdit = useCallback(
+    (zone) => {
+      endShapeEdit();
+
+      const overlayObj = zoneOverlaysRef.current.find((o) => o.id === zone.id);
+      if (!overlayObj) return;
+
+      let target = overlayObj.overlay;
+      const temporary = isCorridorZone(zone);
+
+      if (temporary) {
+        target = new window.google.maps.Polyline({
+          path: zone.geojson.coordinates.map(([lng, lat]) => ({ lat, lng })),
+          strokeColor: "#1976D2",
+          strokeWeight: 3,
+          editable: true,
+          zIndex: 2,
+          map: mapInstanceRef.current,
+        });
+      } else {
+        target.setMap(mapInstanceRef.current);
+        target.setEditable(true);
+      }
+      setZoneVisibility((prev) => ({ ...prev, [zone.id]: true }));
+
+      const paths = temporary
+        ? [target.getPath()]
+        : target.getPaths().getArray();
+      const listeners = paths.flatMap((path) =>
+        ["set_at", "insert_at", "remove_at"].map((eventName) =>
+          path.addListener(eventName, () => setShapeDirty(true))
+        )
+      );
+
+      editSessionRef.current = { zone, target, temporary, listeners };
+      setEditingZoneId(zone.id);
+    },
+    [endShapeEdit]
+  );
+
+  const cancelShapeEdit = useCallback(() => {
+    const session = editSessionRef.current;
+    if (!session) return;
+
+    if (!session.temporary) {
+      session.target.setPaths(polygonPaths(session.zone.geojson)); // restore original geometry
+    }
+    endShapeEdit();
+  }, [endShapeEdit]);
+
+  const saveShapeEdit = useCallback(async () => {
+    const session = editSessionRef.current;
+    if (!session) return;
+
+    const paths = (
+      session.temporary
+        ? [session.target.getPath()]
+        : session.target.getPaths().getArray()
+    ).map((path) =>
+      path
+        .getArray()
+        .map((latLng) => ({ lat: latLng.lat(), lng: latLng.lng() }))
+    );
+    const geojson = pathsToGeoJSON(session.zone.geojson, paths);
+
+    const saved = await updateZone(session.zone, { geojson });
+    if (saved) {
+      endShapeEdit();
+    }
+  }, [endShapeEdit, updateZone]);
+
+  // Remote changes win over an unsaved local shape edit of the same zone
+  const discardEditOf = useCallback(
+    (zoneId) => {
+      const session = editSessionRef.current;
+      if (!session || String(session.zone.id) !== String(zoneId)) return false;
+      endShapeEdit();
+      return true;
+    },
+    [endShapeEdit]
+  );
+
+  const applyRemoteZoneUpdate = useCallback(
+    (message) => {
+      if (message.clientId === CLIENT_ID) return; // our own echo
+
+      const who = message.user || "Another dispatcher";
+      const zone =
+        message.zone && validateZone(message.zone) ? message.zone : null;
+      const name = zone?.name || message.zoneName || "a zone";
+
+      if (zone) {
+        const discarded = discardEditOf(zone.id);
+        upsertZoneLocally(zone);
+        toast(
+          `${who} updated zone "${name}"${
+            discarded ? " — your unsaved shape edit was discarded" : ""
+          }`,
+          { icon: "🔄" }
+        );
+      } else {
+        // Older clients only send the name, so fetch everything
+        loadZones();
+        toast(`${who} updated zone "${name}"`, { icon: "🔄" });
+      }
+    },
+    [discardEditOf, upsertZoneLocally, loadZones]
+  );
+
+  const applyRemoteZoneDelete = useCallback(
+    (message) => {
+      if (message.clientId === CLIENT_ID) return; // our own echo
+
+      const who = message.user || "Another dispatcher";
+      const known = zones.find((z) => String(z.id) === String(message.zoneId));
+      const name = message.zoneName || known?.name || message.zoneId;
+
+      const discarded = discardEditOf(message.zoneId);
+      removeZoneLocally(message.zoneId);
+      toast(
+        `${who} deleted zone "${name}"${
+          discarded ? " — your unsaved shape edit was discarded" : ""
+        }`,
+        { icon: "🗑️" }
+      );
+    },
+    [zones, discardEditOf, removeZoneLocally]
+  );
+
+  // The feed subscribes once; this ref always points at the latest handlers
+  const feedHandlersRef = useRef({});
+  feedHandlersRef.current = {
+    "zone-update": applyRemoteZoneUpdate,
+    "zone-delete": applyRemoteZoneDelete,
+    "log-event": (message) => appendLiveLogs([message.data]),
+  };
+
+  // Extra fields (distanceMeters, ...) are stored with the event
+  const postLogEvent = useCallback(
+    async (event) => {
+      try {
+        const res = await fetch(apiUrl("/log-event"), {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(event),
+        });
+
+        if (!res.ok) {
+          console.error("❌ Failed to post log:", await res.text());
+        } else {
+          // console.log("📤 Log posted successfully");
+          appendLiveLogs([event]);
         }
+      } catch (err) {
+        console.error("❌ Error posting log event:", err);
       }
+    },
+    [appendLiveLogs]
+  );
 
-      const inside = Boolean(matchedZone);
-      const wasInside = Boolean(lastZoneRef.current);
+  // Rule-based events (dwell, approach, ...) go to the live list, /alert and
+  // /log-event; data adds fields to both requests
+  const reportZoneEvent = useCallback(
+    ({ type, zone, assetId, point, detail, data = {} }) => {
       const ts = new Date().toISOString();
+      const inZones = Object.values(assetZonesRef.current[assetId] || {}).map(
+        (entry) => entry.zone.name
+      );
 
-      if (inside && !wasInside) {
-        // Entered zone
-        lastZoneRef.current = matchedZone;
-        zoneEntryTimeRef.current = ts;
-        setInZone(true);
-        setCurrentZone(matchedZone);
-        setEventLog((prev) => [
-          { type: "Entered", zone: matchedZone.name, time: ts },
-          ...prev.slice(0, 9),
-        ]);
-        setUploadStatus(`🚧 Entered zone ${matchedZone.name}`);
-        sendEmailAlert("ENTER", matchedZone, point);
-        postLogEvent({
-          zoneId: matchedZone.id,
-          zoneName: matchedZone.name,
-          type: "ENTER",
-          timestamp: ts,
+      setEventLog((prev) => [
+        {
+          type: eventLabel(type),
+          asset: assetId,
+          zone: zone.name,
+          time: ts,
+          duration: detail,
+          inZones,
+        },
+        ...prev.slice(0, 9),
+      ]);
+      setUploadStatus(
+        `${EVENT_ICONS[type] || "⚪"} ${assetId} ${eventLabel(
+          type
+        ).toLowerCase()} in ${zone.name}${detail ? ` (${detail})` : ""}`
+      );
+      sendEmailAlert(type, zone, point, assetId, data);
+      postLogEvent({
+        assetId,
+        zoneId: zone.id,
+        zoneName: zone.name,
+        type,
+        timestamp: ts,
+        ...data,
+      });
+    },
+    [sendEmailAlert, postLogEvent]
+  );
+
+  const clearDwellTimer = useCallback((assetId, zoneId) => {
+    const key = `${assetId}|${zoneId}`;
+    clearTimeout(dwellTimersRef.current[key]);
+    delete dwellTimersRef.current[key];
+  }, []);
+
+  // Fires once per stay if the asset is still inside when maxDwell runs out,
+  // counted from entryTime, even if it stopped reporting positions meanwhile
+  const startDwellTimer = useCallback(
+    (assetId, zone, entryTime) => {
+      const { maxMs } = dwellLimits(zone);
+      clearDwellTimer(assetId, zone.id);
+      if (maxMs === null) return;
+
+      const remainingMs = maxMs - (Date.now() - new Date(entryTime).getTime());
+
+      dwellTimersRef.current[`${assetId}|${zone.id}`] = setTimeout(() => {
+        delete dwellTimersRef.current[`${assetId}|${zone.id}`];
+        const entry = assetZonesRef.current[assetId]?.[zone.id];
+        if (!entry || entry.entryTime !== entryTime) return;
+
+        const position = markersRef.current[assetId]?.getPosition();
+        reportZoneEvent({
+          type: "DWELL_EXCEEDED",
+          zone,
+          assetId,
+          point: position ? [position.lng(), position.lat()] : null,
+          detail: `inside for over ${formatDuration(maxMs)}`,
         });
-      } else if (!inside && wasInside) {
-        // Exited zone
-        const exitedZone = lastZoneRef.current;
-        lastZoneRef.current = null;
-        setInZone(false);
-        setCurrentZone(null);
-
-        let durationStr = ""; // for how long stay
-        if (zoneEntryTimeRef.current) {
-          const entryTime = new Date(zoneEntryTimeRef.current).getTime();
-          const exitTime = new Date(ts).getTime();
-          const durationMs = exitTime - entryTime;
-          const minutes = Math.floor(durationMs / 60000);
-          const seconds = Math.floor((durationMs % 60000) / 1000);
-          durationStr = `${minutes}m ${seconds}s`;
-        }
+      }, Math.max(0, remainingMs));
+    },
+    [clearDwellTimer, reportZoneEvent]
+  );
+
+  // Live list, /alert and /log-event for a confirmed ENTER or EXIT
+  const reportTransition = useCallback(
+    (assetId, { zone, inside, ts, entryTime }, point) => {
+      const type = transitionType(zone, inside);
+      const inZones = Object.values(assetZonesRef.current[assetId] || {}).map(
+        (entry) => entry.zone.name
+      );
 
+      if (inside) {
         setEventLog((prev) => [
           {
-            type: "Exited",
-            zone: exitedZone?.name || "Unknown",
+            type: eventLabel(type),
+            asset: assetId,
+            zone: zone.name,
             time: ts,
-            duration: durationStr ? `Stayed for ${durationStr}` : undefined,
+            inZones,
           },
           ...prev.slice(0, 9),
         ]);
         setUploadStatus(
-          `🏁 Exited ${exitedZone?.name || "zone"}${
-            durationStr ? ` after ${durationStr}` : ""
-          }`
+          `🚧 ${assetId} ${eventLabel(type).toLowerCase()} ${zone.name}`
         );
-        sendEmailAlert("EXIT", exitedZone || {}, point);
+        sendEmailAlert(type, zone, point, assetId);
         postLogEvent({
-          zoneId: exitedZone?.id || "unknown",
-          zoneName: exitedZone?.name || "unknown",
-          type: "EXIT",
+          assetId,
+          zoneId: zone.id,
+          zoneName: zone.name,
+          type,
           timestamp: ts,
         });
+        startDwellTimer(assetId, zone, entryTime);
+        return;
+      }
+
+      const stayedMs = entryTime
+        ? new Date(ts).getTime() - new Date(entryTime).getTime()
+        : null; // for how long stay
+      const durationStr = stayedMs !== null ? formatDuration(stayedMs) : "";
+
+      setEventLog((prev) => [
+        {
+          type: eventLabel(type),
+          asset: assetId,
+          zone: zone.name,
+          time: ts,
+          duration: durationStr ? `Stayed for ${durationStr}` : undefined,
+          inZones,
+        },
+        ...prev.slice(0, 9),
+      ]);
+      setUploadStatus(
+        `🏁 ${assetId} ${eventLabel(type).toLowerCase()} ${zone.name}${
+          durationStr ? ` after ${durationStr}` : ""
+        }`
+      );
+      sendEmailAlert(type, zone, point, assetId);
+      postLogEvent({
+        assetId,
+        zoneId: zone.id,
+        zoneName: zone.name,
+        type,
+        timestamp: ts,
+      });
+
+      if (stayedMs !== null && isDwellTooShort(zone, stayedMs)) {
+        reportZoneEvent({
+          type: "DWELL_TOO_SHORT",
+          zone,
+          assetId,
+          point,
+          detail: `stayed ${formatDuration(stayedMs)}, minimum ${formatDuration(
+            dwellLimits(zone).minMs
+          )}`,
+        });
       }
     },
-    [zones, sendEmailAlert]
+    [sendEmailAlert, postLogEvent, reportZoneEvent, startDwellTimer]
+  );
+
+  // Geofencing logic (per asset, every overlapping active zone). A change has
+  // to clear the boundary margin and hold for the confirmation window, counted
+  // in new fixes and fix time, so re-checking an unchanged position adds
+  // nothing; with minVisitSeconds set, each event waits that long and an
+  // ENTER/EXIT pair inside it is dropped without being reported. A zone going
+  // dormant releases the asset without an EXIT.
+  const checkGeofencing = useCallback(
+    (assetId, newPosition) => {
+      if (!zones.length) return; //no zones defined, there’s nothing to check
+
+      const point = [newPosition.lng, newPosition.lat];
+      const previous = { ...(assetZonesRef.current[assetId] || {}) };
+      const dormant = zones.filter(
+        (zone) => previous[zone.id] && !activeZoneIds.has(String(zone.id))
+      );
+      dormant.forEach((zone) => {
+        delete previous[zone.id];
+        clearDwellTimer(assetId, zone.id);
+      });
+
+      const { confirmed, pending } = confirmTransitions(
+        pendingTransitionsRef.current[assetId] || {},
+        previous,
+        zonesWithHysteresis(
+          activeZones,
+          point,
+          previous,
+          HYSTERESIS.marginMeters
+        ),
+        newPosition.time,
+        HYSTERESIS
+      );
+      pendingTransitionsRef.current[assetId] = pending;
+
+      if (!confirmed.length && !dormant.length) return;
+
+      const membership = { ...previous };
+      const transitions = [];
+      confirmed.forEach(({ zone, inside, since }) => {
+        const key = `${assetId}|${zone.id}`;
+        const held = heldTransitionsRef.current[key];
+        const ts = new Date(since).toISOString();
+
+        if (held) {
+          // The opposite event is still held back: drop both
+          clearTimeout(held.timer);
+          delete heldTransitionsRef.current[key];
+        }
+
+        if (inside) {
+          if (held) {
+            // Came back before the exit was reported; the stay goes on
+            membership[zone.id] = { zone, entryTime: held.entryTime };
+            startDwellTimer(assetId, zone, held.entryTime);
+            return;
+          }
+          membership[zone.id] = { zone, entryTime: ts };
+          transitions.push({ zone, inside, ts, entryTime: ts });
+          return;
+        }
+
+        const { entryTime } = previous[zone.id];
+        delete membership[zone.id];
+        clearDwellTimer(assetId, zone.id);
+        if (!held) transitions.push({ zone, inside, ts, entryTime });
+      });
+      assetZonesRef.current[assetId] = membership;
+
+      const currentZones = Object.values(membership).map(({ zone }) => zone);
+      setAssetZones((prev) => ({ ...prev, [assetId]: currentZones }));
+
+      transitions.forEach((transition) => {
+        if (!HYSTERESIS.minVisitSeconds) {
+          reportTransition(assetId, transition, point);
+          return;
+        }
+
+        const key = `${assetId}|${transition.zone.id}`;
+        heldTransitionsRef.current[key] = {
+          entryTime: transition.entryTime,
+          timer: setTimeout(() => {
+            delete heldTransitionsRef.current[key];
+            reportTransition(assetId, transition, point);
+          }, HYSTERESIS.minVisitSeconds * 1000),
+        };
+      });
+    },
+    [
+      zones,
+      activeZones,
+      activeZoneIds,
+      reportTransition,
+      clearDwellTimer,
+      startDwellTimer,
+    ]
   );
 
-  // Asset position updates
+  // APPROACHING once per approach to zones with an approach radius
+  const checkApproaches = useCallback(
+    (assetId, position) => {
+      const point = [position.lng, position.lat];
+      const { approaching, near } = findApproaches(
+        activeZones,
+        point,
+        assetZonesRef.current[assetId] || {},
+        approachNearRef.current[assetId] || {},
+        HYSTERESIS.marginMeters
+      );
+      approachNearRef.current[assetId] = near;
+
+      approaching.forEach(({ zone, distanceMeters }) => {
+        const data = { distanceMeters: Math.round(distanceMeters) };
+        reportZoneEvent({
+          type: "APPROACHING",
+          zone,
+          assetId,
+          point,
+          detail: eventDetails({ type: "APPROACHING", ...data }),
+          data,
+        });
+      });
+    },
+    [activeZones, reportZoneEvent]
+  );
+
+  // OVERSPEED once per stretch above a zone's speed limit, timed by the
+  // fixes. /alert hears about it as soon as it starts, in case the asset stops
+  // reporting; the event with peak and duration follows when the asset slows
+  // down or leaves the zone.
+  const checkOverspeed = useCallback(
+    (assetId, position) => {
+      const point = [position.lng, position.lat];
+      const membership = assetZonesRef.current[assetId] || {};
+      const previous = overspeedRef.current[assetId] || {};
+      const { open, ended } = trackOverspeed(
+        previous,
+        activeZones.filter((zone) => membership[zone.id]),
+        position.speedKmh ?? null,
+        position.time
+      );
+      overspeedRef.current[assetId] = open;
+
+      Object.values(open)
+        .filter(({ zone }) => !previous[zone.id])
+        .forEach(({ zone, startedAt, peakKmh }) => {
+          setUploadStatus(
+            `${EVENT_ICONS.OVERSPEED} ${assetId} at ${Math.round(
+              peakKmh
+            )} km/h in ${zone.name} (limit ${speedLimit(zone)} km/h)`
+          );
+          sendEmailAlert("OVERSPEED", zone, point, assetId, {
+            phase: "started",
+            speedKmh: Math.round(peakKmh),
+            speedLimitKmh: speedLimit(zone),
+            startedAt: new Date(startedAt).toISOString(),
+          });
+        });
+
+      ended.forEach(({ zone, startedAt, peakKmh, durationMs }) => {
+        const data = {
+          peakSpeedKmh: Math.round(peakKmh),
+          speedLimitKmh: speedLimit(zone),
+          durationSeconds: Math.round(durationMs / 1000),
+          startedAt: new Date(startedAt).toISOString(),
+        };
+        reportZoneEvent({
+          type: "OVERSPEED",
+          zone,
+          assetId,
+          point,
+          detail: eventDetails({ type: "OVERSPEED", ...data }),
+          data,
+        });
+      });
+    },
+    [activeZones, reportZoneEvent, sendEmailAlert]
+  );
+
+  // Trail and zone checks for every accepted fix, in order, so a batch that
+  // catches up on several fixes keeps each transition and confirmation. The
+  // feed subscribes once and calls the latest version through this ref.
+  const checkFixesRef = useRef(() => {});
+  checkFixesRef.current = (fixes) => {
+    fixes.forEach(({ assetId, ...position }) => {
+      if (mapInstanceRef.current) extendAssetTrail(assetId, position);
+      if (!assetMoving) return;
+
+      checkGeofencing(assetId, position);
+      checkApproaches(assetId, position);
+      checkOverspeed(assetId, position);
+    });
+  };
+
+  // Asset position updates: markers follow the latest fix, and zone or
+  // schedule changes re-check it (a fix is only ever counted once)
   useEffect(() => {
     if (!mapInstanceRef.current) return;
 
-    if (markerRef.current) {
-      markerRef.current.setPosition(
-        new window.google.maps.LatLng(assetPosition.lat, assetPosition.lng)
+    Object.entries(assetPositions).forEach(([assetId, position]) => {
+      getAssetMarker(assetId).setPosition(
+        new window.google.maps.LatLng(position.lat, position.lng)
       );
-    }
-
-    if (assetMoving) {
-      checkGeofencing(assetPosition);
-    }
-  }, [assetPosition, assetMoving, checkGeofencing]);
+      if (assetMoving) checkGeofencing(assetId, position);
+    });
+  }, [assetPositions, assetMoving, checkGeofencing, getAssetMarker]);
 
   useEffect(() => {
-    const interval = setInterval(async () => {
-      try {
-        const res = await fetch(apiUrl("/latest-location"));
-        if (!res.ok) throw new Error("Failed to fetch location");
+    const feed = createLocationFeed({
+      mode: LOCATION_FEED_MODE,
+      wsUrl: WS_API_ENDPOINT,
+      sseUrl: SSE_API_ENDPOINT,
+      pollUrl: apiUrl("/latest-location"),
+      onLocations: (locations) => {
+        const now = Date.now();
+        const accepted = [];
+        const rejected = [];
+        locations.forEach((fix) => {
+          const result = filterFix(
+            positionFiltersRef.current[fix.assetId] || {},
+            fix,
+            now,
+            POSITION_FILTER
+          );
+          positionFiltersRef.current[fix.assetId] = result.state;
+          if (result.position) {
+            accepted.push({ assetId: fix.assetId, ...result.position });
+          } else {
+            rejected.push(result.rejected);
+          }
+        });
 
-        const data = await res.json();
-        if (data && data.lat && data.lng) {
-          setAssetPosition({ lat: data.lat, lng: data.lng });
+        if (rejected.length) {
+          setRejectedFixes((prev) =>
+            [...rejected, ...prev].slice(0, REJECTED_FIX_LIMIT)
+          );
         }
-      } catch (err) {
-        console.error("❌ Error fetching latest location:", err);
-      }
-    }, 2000); // every 2 seconds (match your MQTT publish rate)
+        if (!accepted.length) return;
+
+        setAssetPositions((prev) => {
+          const next = { ...prev };
+          accepted.forEach(({ assetId, lat, lng, speedKmh, time }) => {
+            next[assetId] = { lat, lng, speedKmh, time };
+          });
+          return next;
+        });
+        checkFixesRef.current(accepted);
+      },
+      handlers: Object.fromEntries(
+        ["zone-update", "zone-delete", "log-event"].map((type) => [
+          type,
+          (message) => feedHandlersRef.current[type](message),
+        ])
+      ),
+      onStatus: setFeedStatus,
+    });
+    feedRef.current = feed;
 
-    return () => clearInterval(interval);
+    return () => {
+      feed.stop();
+      feedRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(
+      () => setScheduleClock(Date.now()),
+      SCHEDULE_TICK_MS
+    );
+    return () => clearInterval(timer);
   }, []);
 
+  // Dormant scheduled zones fade out on the map
+  useEffect(() => {
+    zoneOverlaysRef.current.forEach(({ id, overlay }) => {
+      const zone = zones.find((z) => String(z.id) === String(id));
+      if (zone && overlay) {
+        overlay.setOptions(
+          zoneActivityOptions(zone, activeZoneIds.has(String(id)))
+        );
+      }
+    });
+  }, [zones, activeZoneIds]);
+
+  // Debug overlay: rejected fixes as red dots, the reason on hover
   useEffect(() => {
-    fetchAllLogs();
-  }, [fetchAllLogs]);
+    if (!showRejectedFixes || !mapInitialized) return;
+
+    const dots = rejectedFixes.map(
+      (fix) =>
+        new window.google.maps.Marker({
+          map: mapInstanceRef.current,
+          position: { lat: fix.lat, lng: fix.lng },
+          title: `${fix.assetId}: ${fix.reason.detail} (${new Date(
+            fix.time
+          ).toLocaleTimeString()})`,
+          icon: {
+            path: window.google.maps.SymbolPath.CIRCLE,
+            scale: 4,
+            fillColor: "#D32F2F",
+            fillOpacity: 0.8,
+            strokeColor: "#FFFFFF",
+            strokeWeight: 1,
+          },
+        })
+    );
+    return () => dots.forEach((dot) => dot.setMap(null));
+  }, [rejectedFixes, showRejectedFixes, mapInitialized]);
 
   useEffect(() => {
+    const markers = markersRef.current;
+    const trails = trailsRef.current;
+    const dwellTimers = dwellTimersRef.current;
+    const heldTransitions = heldTransitionsRef.current;
     return () => {
       clearZoneOverlays();
+      Object.values(markers).forEach((marker) => marker.setMap(null));
+      Object.values(trails).forEach((trail) => trail.setMap(null));
+      Object.values(dwellTimers).forEach((timer) => clearTimeout(timer));
+      Object.values(heldTransitions).forEach(({ timer }) =>
+        clearTimeout(timer)
+      );
     };
   }, [clearZoneOverlays]);
 
@@ -776,23 +1585,19 @@ const ZoneManager = () => {
       </Box>
     );
   }
-  const postLogEvent = async ({ zoneId, zoneName, type, timestamp }) => {
-    try {
-      const res = await fetch(apiUrl("/log-event"), {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ zoneId, zoneName, type, timestamp }),
-      });
-
-      if (!res.ok) {
-        console.error("❌ Failed to post log:", await res.text());
-      } else {
-        // console.log("📤 Log posted successfully");
-      }
-    } catch (err) {
-      console.error("❌ Error posting log event:", err);
-    }
-  };
+  // Live assets plus any seen in the log history, for the playback picker
+  const knownAssetIds = [
+    ...new Set([
+      ...Object.keys(assetPositions),
+      ...historyAssetIds,
+      ...liveLogs
+        .filter((log) => log.assetId)
+        .map((log) => String(log.assetId)),
+    ]),
+  ];
+  if (knownAssetIds.length === 0) {
+    knownAssetIds.push(DEFAULT_ASSET_ID);
+  }
 
   return (
     <Box sx={{ p: 3, maxWidth: 1200, mx: "auto" }}>
@@ -810,12 +1615,12 @@ const ZoneManager = () => {
           flexWrap: "wrap",
         }}
       >
-        {/* <Chip
-          label={`WebSocket: ${wsStatus}`}
-          color={wsStatus === "Connected" ? "success" : "error"}
+        <Chip
+          label={feedStatusLabel(feedStatus)}
+          color={feedStatusColor(feedStatus)}
           variant="outlined"
           size="small"
-        /> */}
+        />
         <Chip
           label={`Asset: ${assetMoving ? "Moving" : "Stopped"}`}
           color={assetMoving ? "primary" : "default"}
@@ -828,13 +1633,21 @@ const ZoneManager = () => {
           variant="outlined"
           size="small"
         />
-        {currentZone && (
-          <Chip
-            label={`In Zone: ${currentZone.name}`}
-            color="success"
-            variant="filled"
-            size="small"
-          />
+        <Chip
+          label={`Assets: ${Object.keys(assetPositions).length}`}
+          variant="outlined"
+          size="small"
+        />
+        {Object.entries(assetZones).map(([assetId, inZones]) =>
+          inZones.map((zone) => (
+            <Chip
+              key={`${assetId}-${zone.id}`}
+              label={`${assetId} in Zone: ${zone.name}`}
+              color="success"
+              variant="filled"
+              size="small"
+            />
+          ))
         )}
       </Box>
 
@@ -881,6 +1694,15 @@ const ZoneManager = () => {
         >
           {assetMoving ? "Stop Asset" : "Start Asset"}
         </Button>
+        <Tooltip title="Show fixes dropped by the GPS filter on the map">
+          <Button
+            variant={showRejectedFixes ? "contained" : "outlined"}
+            color="warning"
+            onClick={() => setShowRejectedFixes((prev) => !prev)}
+          >
+            Rejected Fixes ({rejectedFixes.length})
+          </Button>
+        </Tooltip>
         <Button
           variant="outlined"
           onClick={refreshZones}
@@ -888,17 +1710,30 @@ const ZoneManager = () => {
         >
           Refresh Zones
         </Button>
+        <ZoneExportMenu
+          zones={zones}
+          zoneVisibility={zoneVisibility}
+          selectedZoneIds={selectedZoneIds}
+        />
         <Button variant="outlined" component="label">
-          Upload GeoJSON
+          Upload GeoJSON / KML
           <input
             type="file"
             multiple
             hidden
-            accept=".geojson,application/geo+json"
+            accept=".geojson,.json,.kml,.kmz,application/geo+json,application/vnd.google-earth.kml+xml,application/vnd.google-earth.kmz"
             ref={fileInputRef}
             onChange={handleFileUpload}
           />
         </Button>
+        <Button
+          variant="outlined"
+          component={RouterLink}
+          to="/analytics"
+          startIcon={<BarChartIcon />}
+        >
+          Dwell Analytics
+        </Button>
       </Box>
 
       {/* Zone list with visibility and delete */}
@@ -907,40 +1742,151 @@ const ZoneManager = () => {
           Zones ({zones.length})
         </Typography>
         <List dense>
-          {zones.map((zone) => (
-            <ListItem
-              key={zone.id}
-              secondaryAction={
-                <>
-                  <Tooltip title="Toggle Visibility">
-                    <Button
-                      size="small"
-                      onClick={() => toggleZoneVisibility(zone.id)}
-                    >
-                      {zoneVisibility[zone.id] ? "Hide" : "Show"}
-                    </Button>
-                  </Tooltip>
-                  <Tooltip title="Delete">
-                    <IconButton
-                      edge="end"
-                      onClick={() => handleDelete(zone.id)}
-                      color="error"
-                    >
-                      <DeleteIcon />
-                    </IconButton>
-                  </Tooltip>
-                </>
-              }
-            >
-              <ListItemText
-                primary={zone.name}
-                secondary={`Type: ${zone.geojson?.type || "Unknown"}`}
-              />
-            </ListItem>
-          ))}
+          {groupZonesByCategory(zones).map((group) => [
+            <ListSubheader key={group.category}>
+              {group.label} ({group.zones.length})
+            </ListSubheader>,
+            ...group.zones.map((zone) => (
+              <ListItem
+                key={zone.id}
+                secondaryAction={
+                  <>
+                    <Tooltip title="Zone details">
+                      <IconButton
+                        size="small"
+                        onClick={() => setDetailsZone(zone)}
+                      >
+                        <TuneIcon />
+                      </IconButton>
+                    </Tooltip>
+                    {editingZoneId === zone.id ? (
+                      <>
+                        <Button
+                          size="small"
+                          variant="contained"
+                          disabled={!shapeDirty || loading}
+                          onClick={saveShapeEdit}
+                        >
+                          Save
+                        </Button>
+                        <Button size="small" onClick={cancelShapeEdit}>
+                          Cancel
+                        </Button>
+                      </>
+                    ) : (
+                      <Tooltip title="Edit shape">
+                        <Button
+                          size="small"
+                          startIcon={<EditIcon />}
+                          onClick={() => startShapeEdit(zone)}
+                        >
+                          Edit shape
+                        </Button>
+                      </Tooltip>
+                    )}
+                    <Tooltip title="Toggle Visibility">
+                      <Button
+                        size="small"
+                        onClick={() => toggleZoneVisibility(zone.id)}
+                      >
+                        {zoneVisibility[zone.id] ? "Hide" : "Show"}
+                      </Button>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton
+                        edge="end"
+                        onClick={() => handleDelete(zone.id)}
+                        color="error"
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </>
+                }
+              >
+                <ListItemIcon sx={{ minWidth: 32 }}>
+                  <Checkbox
+                    edge="start"
+                    size="small"
+                    checked={selectedZoneIds.includes(zone.id)}
+                    onChange={() => toggleZoneSelection(zone.id)}
+                  />
+                </ListItemIcon>
+                <ListItemIcon sx={{ minWidth: 32 }}>
+                  <Box
+                    sx={{
+                      width: 16,
+                      height: 16,
+                      borderRadius: "50%",
+                      backgroundColor: zoneProperties(zone).color,
+                    }}
+                  />
+                </ListItemIcon>
+                <ListItemText
+                  sx={{
+                    opacity: activeZoneIds.has(String(zone.id)) ? 1 : 0.6,
+                  }}
+                  primary={
+                    <>
+                      {`${zone.name} · ${priorityLabel(
+                        zoneProperties(zone).priority
+                      )} priority`}
+                      {zone.schedule && (
+                        <Chip
+                          label={
+                            activeZoneIds.has(String(zone.id))
+                              ? "Active"
+                              : "Dormant"
+                          }
+                          color={
+                            activeZoneIds.has(String(zone.id))
+                              ? "success"
+                              : "default"
+                          }
+                          variant="outlined"
+                          size="small"
+                          sx={{ ml: 1 }}
+                        />
+                      )}
+                    </>
+                  }
+                  secondary={`Type: ${zone.geojson?.type || "Unknown"}${
+                    isCorridorZone(zone)
+                      ? ` · Corridor ${corridorWidth(zone)} m`
+                      : ""
+                  }${
+                    zone.schedule
+                      ? ` · Schedule: ${scheduleSummary(zone.schedule)}`
+                      : ""
+                  }${zone.description ? ` · ${zone.description}` : ""}`}
+                />
+              </ListItem>
+            )),
+          ])}
         </List>
       </Box>
 
+      <ZonePropertiesDialog
+        zone={detailsZone}
+        onClose={() => setDetailsZone(null)}
+        onSave={saveZoneDetails}
+      />
+
+      <ZoneCreateDialog
+        drafts={zoneDrafts}
+        onSubmit={handleCreateZones}
+        onCancel={() => setZoneDrafts([])}
+      />
+
+      {featureImport && (
+        <FeatureImportDialog
+          features={featureImport.features}
+          skipped={featureImport.skipped}
+          onSubmit={handleCreateZones}
+          onCancel={() => setFeatureImport(null)}
+        />
+      )}
+
       <Divider sx={{ my: 3 }} />
 
       {/* Event Log (latest 10 events) */}
@@ -952,9 +1898,13 @@ const ZoneManager = () => {
           {eventLog.map((log, index) => (
             <ListItem key={index}>
               <ListItemText
-                primary={`${log.type} - ${log.zone}`}
+                primary={`${log.asset} · ${log.type} - ${log.zone}`}
                 secondary={`${new Date(log.time).toLocaleString()}${
                   log.duration ? ` - ${log.duration}` : ""
+                }${
+                  log.inZones?.length
+                    ? ` - Now in: ${log.inZones.join(", ")}`
+                    : ""
                 }`}
               />
             </ListItem>
@@ -962,58 +1912,35 @@ const ZoneManager = () => {
         </List>
       </Box>
 
+      <Divider sx={{ my: 3 }} />
+
+      <VisitTimeline zones={zones} onPlayVisit={playVisit} />
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box ref={playbackRef}>
+        <TrackPlaybackPanel
+          map={mapInstanceRef.current}
+          assetIds={knownAssetIds}
+          request={playbackRequest}
+        />
+      </Box>
+
       {/* Divider */}
       <Divider sx={{ my: 3 }} />
 
       {/* All Logs */}
       <Box sx={{ mb: 3 }}>
         <Typography variant="h6" gutterBottom>
-          📜 History Log ({allLogs.length})
+          📜 History Log
         </Typography>
 
-        {/* Filter */}
-        <Box sx={{ mb: 2, display: "flex", alignItems: "center", gap: 2 }}>
-          <Typography variant="body1">Filter:</Typography>
-          <Select
-            size="small"
-            value={selectedZoneFilter}
-            onChange={(e) => setSelectedZoneFilter(e.target.value)}
-          >
-            <MenuItem value="All">All</MenuItem>
-            {[...new Set(allLogs.map((log) => log.zoneName))].map((name) => (
-              <MenuItem key={name} value={name}>
-                {name}
-              </MenuItem>
-            ))}
-          </Select>
-        </Box>
-
-        <Grid container spacing={2}>
-          {allLogs
-            .filter(
-              (log) =>
-                selectedZoneFilter === "All" ||
-                log.zoneName === selectedZoneFilter
-            )
-            .map((log) => (
-              <Grid item xs={12} md={6} key={log.id}>
-                <Card variant="outlined">
-                  <CardContent>
-                    <Typography variant="subtitle1" fontWeight="bold">
-                      {log.type === "ENTER" ? "🟢 Entered" : "🔴 Exited"}{" "}
-                      {log.zoneName}
-                    </Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      Zone ID: {log.zoneId}
-                    </Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      Timestamp: {new Date(log.timestamp).toLocaleString()}
-                    </Typography>
-                  </CardContent>
-                </Card>
-              </Grid>
-            ))}
-        </Grid>
+        <LogHistoryTable
+          zones={zones}
+          liveLogs={liveLogs}
+          newLogKeys={newLogKeys}
+          onAssetsSeen={addHistoryAssetIds}
+        />
       </Box>
     </Box>
   );
@@ -0,0 +1,302 @@
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  Box,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Slider,
+  TextField,
+  Typography,
+} from "@mui/material";
+import {
+  Pause as PauseIcon,
+  PlayArrow as PlayArrowIcon,
+} from "@mui/icons-material";
+import dayjs from "dayjs";
+import { apiUrl } from "../utils/api";
+import { eventLabel } from "../utils/events";
+import { EMPTY_LOG_FILTERS, fetchLogsPage } from "../utils/logs";
+import {
+  PLAYBACK_SPEEDS,
+  eventsInRange,
+  positionAt,
+  toTrack,
+} from "../utils/playback";
+
+const TICK_MS = 100;
+const MAX_REPLAYED_EVENTS = 1000;
+const INPUT_FORMAT = "YYYY-MM-DDTHH:mm";
+
+// Loads an asset's past positions from /locations and replays them on the map,
+// together with the ENTER/EXIT events logged over the same interval.
+// A new `request` ({ assetId, from, to } as Dates or timestamps) loads and plays
+// that interval straight away.
+const TrackPlaybackPanel = ({ map, assetIds, request }) => {
+  const markerRef = useRef(null);
+  const trackLineRef = useRef(null);
+
+  const [assetId, setAssetId] = useState("");
+  const [from, setFrom] = useState(
+    dayjs().subtract(1, "hour").format(INPUT_FORMAT)
+  );
+  const [to, setTo] = useState(dayjs().format(INPUT_FORMAT));
+  const [track, setTrack] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(10);
+  const [status, setStatus] = useState("");
+
+  useEffect(() => {
+    if (!assetId && assetIds.length > 0) {
+      setAssetId(assetIds[0]);
+    }
+  }, [assetId, assetIds]);
+
+  const clearOverlays = useCallback(() => {
+    markerRef.current?.setMap(null);
+    trackLineRef.current?.setMap(null);
+    markerRef.current = null;
+    trackLineRef.current = null;
+  }, []);
+
+  useEffect(() => clearOverlays, [clearOverlays]);
+
+  const start = track.length ? track[0].time : 0;
+  const end = track.length ? track[track.length - 1].time : 0;
+
+  const loadTrack = useCallback(
+    async ({ assetId, from, to }) => {
+      setPlaying(false);
+      setStatus("");
+      try {
+        const params = new URLSearchParams({
+          assetId,
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString(),
+        });
+        const res = await fetch(apiUrl(`/locations?${params}`));
+        if (!res.ok) throw new Error(`Failed to fetch: ${res.statusText}`);
+
+        const loaded = toTrack(await res.json());
+
+        // Events are only decoration, so a failed lookup still plays the track
+        const events = await fetchLogsPage({
+          pageSize: MAX_REPLAYED_EVENTS,
+          sortOrder: "asc",
+          filters: { ...EMPTY_LOG_FILTERS, assetId, from, to },
+        }).catch((err) => {
+          console.error("❌ Failed to load events for playback:", err);
+          return { rows: [] };
+        });
+
+        setLogs(events.rows);
+        setTrack(loaded);
+        setCurrentTime(loaded.length ? loaded[0].time : 0);
+        clearOverlays();
+
+        if (loaded.length === 0) {
+          setStatus("No positions recorded for this asset in that range.");
+          return false;
+        }
+        if (!map) return true;
+
+        const path = loaded.map(({ lat, lng }) => ({ lat, lng }));
+        trackLineRef.current = new window.google.maps.Polyline({
+          path,
+          strokeColor: "#616161",
+          strokeOpacity: 0.7,
+          strokeWeight: 3,
+          map,
+        });
+        markerRef.current = new window.google.maps.Marker({
+          position: path[0],
+          map,
+          title: `Playback ${assetId}`,
+          icon: {
+            url: "https://maps.google.com/mapfiles/ms/icons/green-dot.png",
+            scaledSize: new window.google.maps.Size(40, 40),
+          },
+        });
+
+        const bounds = new window.google.maps.LatLngBounds();
+        path.forEach((point) => bounds.extend(point));
+        map.fitBounds(bounds);
+        return true;
+      } catch (err) {
+        console.error("❌ Failed to load track:", err);
+        setStatus(`Failed to load track: ${err.message}`);
+        return false;
+      }
+    },
+    [map, clearOverlays]
+  );
+
+  useEffect(() => {
+    if (!request) return;
+
+    const requestedAsset = String(request.assetId);
+    setAssetId(requestedAsset);
+    setFrom(dayjs(request.from).format(INPUT_FORMAT));
+    setTo(dayjs(request.to).format(INPUT_FORMAT));
+    // Load with full precision; the inputs only show minutes
+    loadTrack({
+      assetId: requestedAsset,
+      from: dayjs(request.from).toISOString(),
+      to: dayjs(request.to).toISOString(),
+    }).then((loaded) => setPlaying(loaded));
+  }, [request, loadTrack]);
+
+  // Advance the playback clock while playing
+  useEffect(() => {
+    if (!playing) return;
+
+    const interval = setInterval(() => {
+      setCurrentTime((prev) => Math.min(prev + TICK_MS * speed, end));
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [playing, speed, end]);
+
+  useEffect(() => {
+    if (playing && currentTime >= end) {
+      setPlaying(false);
+    }
+  }, [playing, currentTime, end]);
+
+  useEffect(() => {
+    const position = positionAt(track, currentTime);
+    if (position && markerRef.current) {
+      markerRef.current.setPosition({ lat: position.lat, lng: position.lng });
+    }
+  }, [track, currentTime]);
+
+  const replayedEvents = useMemo(
+    () =>
+      track.length ? eventsInRange(logs, assetId, start, currentTime) : [],
+    [logs, assetId, track.length, start, currentTime]
+  );
+
+  const togglePlaying = () => {
+    if (!playing && currentTime >= end) {
+      setCurrentTime(start); // restart from the beginning
+    }
+    setPlaying((prev) => !prev);
+  };
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        ⏯️ Track Playback
+      </Typography>
+
+      <Box
+        sx={{
+          mb: 2,
+          display: "flex",
+          gap: 2,
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <TextField
+          select
+          label="Asset"
+          size="small"
+          value={assetId}
+          onChange={(e) => setAssetId(e.target.value)}
+          sx={{ minWidth: 140 }}
+        >
+          {assetIds.map((id) => (
+            <MenuItem key={id} value={id}>
+              {id}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="From"
+          type="datetime-local"
+          size="small"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          type="datetime-local"
+          size="small"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Button
+          variant="outlined"
+          onClick={() => loadTrack({ assetId, from, to })}
+          disabled={!assetId || !from || !to}
+        >
+          Load Track
+        </Button>
+      </Box>
+
+      {status && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          {status}
+        </Typography>
+      )}
+
+      {track.length > 0 && (
+        <>
+          <Box sx={{ display: "flex", gap: 2, alignItems: "center" }}>
+            <IconButton onClick={togglePlaying} color="primary">
+              {playing ? <PauseIcon /> : <PlayArrowIcon />}
+            </IconButton>
+            <TextField
+              select
+              size="small"
+              value={speed}
+              onChange={(e) => setSpeed(Number(e.target.value))}
+            >
+              {PLAYBACK_SPEEDS.map((value) => (
+                <MenuItem key={value} value={value}>
+                  {value}×
+                </MenuItem>
+              ))}
+            </TextField>
+            <Slider
+              min={start}
+              max={end}
+              value={currentTime}
+              onChange={(e, value) => setCurrentTime(value)}
+              sx={{ flex: 1 }}
+            />
+            <Typography variant="body2" sx={{ minWidth: 160 }}>
+              {new Date(currentTime).toLocaleString()}
+            </Typography>
+          </Box>
+
+          <List dense>
+            {[...replayedEvents].reverse().map((log) => (
+              <ListItem key={log.id || `${log.type}-${log.timestamp}`}>
+                <ListItemText
+                  primary={`${eventLabel(log.type)} - ${log.zoneName}`}
+                  secondary={new Date(log.timestamp).toLocaleString()}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default TrackPlaybackPanel;
@@ -25,6 +25,7 @@ import * as turf from "@turf/turf";
 import * as geojsonValidation from "geojson-validation";
 import { z } from "zod";
 import toast from "react-hot-toast";
+import { createSocketClient } from "../utils/socketClient";
 
 const GOOGLE_MAP_API_KEY = process.env.REACT_APP_GOOGLEAPI;
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL;
@@ -60,7 +61,6 @@ const ZoneManager = () => {
   const zoneOverlaysRef = useRef([]);
   const lastZoneRef = useRef(null);
   const wsRef = useRef(null);
-  const reconnectTimeoutRef = useRef(null);
   const assetMovementIntervalRef = useRef(null);
   const zoneEntryTimeRef = useRef(null); // ⏱️ Replaces setZoneEntryTime
 
@@ -424,16 +424,11 @@ const ZoneManager = () => {
 
       // Broadcast zone update via WebSocket
       // 🔄 Broadcast delete to other users
-      if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-        wsRef.current.send(
-          JSON.stringify({
-            action: "default",
-            type: "zone-update",
-            zoneName: name,
-            timestamp: new Date().toISOString(),
-          })
-        );
-      }
+      wsRef.current?.send({
+        action: "default",
+        type: "zone-update",
+        zoneName: name,
+      });
 
       toast.success("Zone added successfully!");
       await loadZones(); // Reload zones
@@ -529,15 +524,11 @@ const ZoneManager = () => {
       });
 
       // ✅ Broadcast WebSocket message
-      if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-        wsRef.current.send(
-          JSON.stringify({
-            action: "default",
-            type: "zone-delete",
-            zoneId, // ✅ correct variable
-          })
-        );
-      }
+      wsRef.current?.send({
+        action: "default",
+        type: "zone-delete",
+        zoneId, // ✅ correct variable
+      });
 
       console.log("✅ Deleted zone:", zoneId);
     } catch (err) {
@@ -747,89 +738,47 @@ const ZoneManager = () => {
 
   // WebSocket connection management
   useEffect(() => {
-    const connectWebSocket = () => {
-      const socket = new WebSocket(
-        "wss://gzor3mc31j.execute-api.us-east-1.amazonaws.com/$default"
-      );
-
-      wsRef.current = socket;
-
-      socket.onopen = () => {
-        console.log("✅ WebSocket connected");
-        setWsStatus("Connected");
-      };
-
-      socket.onclose = () => {
-        console.warn("🔌 WebSocket disconnected. Reconnecting...");
-        setWsStatus("Disconnected");
-        reconnectTimeoutRef.current = setTimeout(connectWebSocket, 3000);
-      };
-
-      socket.onerror = (err) => {
-        console.error("❌ WebSocket error", err);
-        socket.close();
-      };
-
-      socket.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log("📨 WebSocket message received:", data);
-
-          // ✅ Log raw lat/lng if present
-          if (data.lat && data.lng) {
-            console.log("🛰️ Incoming Location Data →", {
-              lat: data.lat,
-              lng: data.lng,
-              type: data.type,
+    const client = createSocketClient({
+      url: WS_API_ENDPOINT,
+      onStatus: ({ state }) => {
+        setWsStatus(state === "connected" ? "Connected" : "Disconnected");
+      },
+      handlers: {
+        assetLocationUpdate: (message) => {
+          const fixes = Array.isArray(message.data)
+            ? message.data
+            : [message.data];
+          const { lat, lng } = fixes[fixes.length - 1];
+
+          setAssetLocation({ lat, lng });
+
+          if (!markerRef.current && mapInstanceRef.current) {
+            markerRef.current = new window.google.maps.Marker({
+              map: mapInstanceRef.current,
+              title: "Live Asset Location",
+              icon: {
+                url: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png",
+                scaledSize: new window.google.maps.Size(32, 32),
+              },
             });
           }
 
-          // ✅ Match by type
-          if (data.type === "assetLocationUpdate") {
-            const { lat, lng } = data.data;
-
-            console.log("📍 Updating marker position to →", lat, lng);
-
-            setAssetLocation({ lat, lng });
-
-            if (!markerRef.current && mapInstanceRef.current) {
-              console.log("🆕 Creating marker for live asset");
-              markerRef.current = new window.google.maps.Marker({
-                map: mapInstanceRef.current,
-                title: "Live Asset Location",
-                icon: {
-                  url: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png",
-                  scaledSize: new window.google.maps.Size(32, 32),
-                },
-              });
-            }
-
-            if (markerRef.current) {
-              markerRef.current.setPosition(
-                new window.google.maps.LatLng(lat, lng)
-              );
-              // mapInstanceRef.current.setCenter({ lat, lng });
-            } else {
-              console.warn("❌ Marker is still null");
-            }
-          } else {
-            console.warn("🟡 Unhandled message type or missing `type`:", data);
+          if (markerRef.current) {
+            markerRef.current.setPosition(
+              new window.google.maps.LatLng(lat, lng)
+            );
           }
-        } catch (err) {
-          console.error("❌ Failed to parse WebSocket message:", err);
-        }
-      };
-    };
+        },
+        "zone-update": () => loadZones(),
+        "zone-delete": () => loadZones(),
+      },
+    });
 
-    connectWebSocket();
+    wsRef.current = client;
 
     return () => {
-      if (wsRef.current) {
-        wsRef.current.close();
-      }
-      if (reconnectTimeoutRef.current) {
-        clearTimeout(reconnectTimeoutRef.current);
-      }
+      client.close();
+      wsRef.current = null;
     };
   }, [loadZones]);
 
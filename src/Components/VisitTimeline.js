@@ -0,0 +1,224 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Box,
+  LinearProgress,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import dayjs from "dayjs";
+import { formatDuration } from "../utils/geofence";
+import { EMPTY_LOG_FILTERS, fetchAllLogPages } from "../utils/logs";
+import { TIMELINE_LANE_MODES, timelineLanes } from "../utils/timeline";
+import { pairVisits } from "../utils/visits";
+import { zoneProperties } from "../utils/zoneProperties";
+
+const DATE_FORMAT = "YYYY-MM-DD";
+const LANE_LABEL_WIDTH = 160;
+const HOUR_TICKS = [0, 3, 6, 9, 12, 15, 18, 21];
+const FALLBACK_COLOR = "#1976D2";
+
+// Gantt-style view of one day's zone visits. Clicking a bar asks the caller
+// to play back that asset over the visit's interval.
+const VisitTimeline = ({ zones, onPlayVisit }) => {
+  const [day, setDay] = useState(dayjs().format(DATE_FORMAT));
+  const [laneBy, setLaneBy] = useState("zone");
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const windowStart = dayjs(day).startOf("day").valueOf();
+  const windowEnd = dayjs(day).endOf("day").valueOf();
+
+  useEffect(() => {
+    if (!day) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+
+    fetchAllLogPages({
+      ...EMPTY_LOG_FILTERS,
+      from: dayjs(day).startOf("day").toISOString(),
+      to: dayjs(day).endOf("day").toISOString(),
+    })
+      .then((loaded) => {
+        if (!cancelled) setLogs(loaded);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("❌ Failed to load logs for timeline:", err);
+        setError(`Failed to load logs: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [day]);
+
+  const lanes = useMemo(
+    () => timelineLanes(pairVisits(logs), laneBy, windowStart, windowEnd),
+    [logs, laneBy, windowStart, windowEnd]
+  );
+
+  const zoneColor = (zoneId) => {
+    const zone = zones.find((z) => String(z.id) === String(zoneId));
+    return zone ? zoneProperties(zone).color : FALLBACK_COLOR;
+  };
+
+  const barTooltip = (bar) => (
+    <>
+      <div>
+        <strong>{bar.zoneName || `Zone ${bar.zoneId}`}</strong>
+        {bar.assetId && ` · Asset ${bar.assetId}`}
+      </div>
+      <div>
+        {bar.enteredAt !== null
+          ? `Entered ${dayjs(bar.enteredAt).format("HH:mm:ss")}`
+          : "Entered before this day"}
+      </div>
+      <div>
+        {bar.exitedAt !== null
+          ? `Exited ${dayjs(bar.exitedAt).format("HH:mm:ss")}`
+          : "No exit logged"}
+      </div>
+      <div>
+        {bar.durationMs !== null
+          ? `Stayed ${formatDuration(bar.durationMs)}`
+          : `Shown ${formatDuration(bar.end - bar.start)}`}
+      </div>
+      {bar.assetId && <div>Click to play back</div>}
+    </>
+  );
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        🗓️ Visit Timeline
+      </Typography>
+
+      <Box
+        sx={{
+          mb: 2,
+          display: "flex",
+          gap: 2,
+          alignItems: "center",
+          flexWrap: "wrap",
+        }}
+      >
+        <TextField
+          label="Day"
+          type="date"
+          size="small"
+          value={day}
+          onChange={(e) => setDay(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={laneBy}
+          onChange={(e, value) => value && setLaneBy(value)}
+        >
+          {TIMELINE_LANE_MODES.map((mode) => (
+            <ToggleButton key={mode.value} value={mode.value}>
+              {mode.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      {loading && <LinearProgress sx={{ mb: 1 }} />}
+      {error && (
+        <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+          ❌ {error}
+        </Typography>
+      )}
+
+      {/* Hour axis */}
+      <Box sx={{ display: "flex", mb: 0.5 }}>
+        <Box sx={{ width: LANE_LABEL_WIDTH, flexShrink: 0 }} />
+        <Box sx={{ position: "relative", flex: 1, height: 18 }}>
+          {HOUR_TICKS.map((hour) => (
+            <Typography
+              key={hour}
+              variant="caption"
+              color="text.secondary"
+              sx={{ position: "absolute", left: `${(hour / 24) * 100}%` }}
+            >
+              {String(hour).padStart(2, "0")}:00
+            </Typography>
+          ))}
+        </Box>
+      </Box>
+
+      {lanes.length === 0 && !loading ? (
+        <Typography variant="body2" color="text.secondary">
+          No zone visits on this day.
+        </Typography>
+      ) : (
+        lanes.map((lane) => (
+          <Box key={lane.key} sx={{ display: "flex", alignItems: "center" }}>
+            <Typography
+              variant="body2"
+              noWrap
+              title={lane.label}
+              sx={{ width: LANE_LABEL_WIDTH, flexShrink: 0, pr: 1 }}
+            >
+              {lane.label}
+            </Typography>
+            <Box
+              sx={{
+                position: "relative",
+                flex: 1,
+                height: 24,
+                my: 0.5,
+                bgcolor: "action.hover",
+                borderRadius: 1,
+              }}
+            >
+              {lane.bars.map((bar) => (
+                <Tooltip
+                  key={`${bar.assetId}-${bar.zoneId}-${bar.start}`}
+                  title={barTooltip(bar)}
+                  arrow
+                >
+                  <Box
+                    onClick={() =>
+                      bar.assetId &&
+                      onPlayVisit({
+                        assetId: bar.assetId,
+                        from: bar.start,
+                        to: bar.end,
+                      })
+                    }
+                    sx={{
+                      position: "absolute",
+                      top: 2,
+                      bottom: 2,
+                      left: `${bar.left}%`,
+                      width: `${bar.width}%`,
+                      minWidth: 3,
+                      bgcolor: zoneColor(bar.zoneId),
+                      opacity: 0.8,
+                      borderRadius: 0.5,
+                      cursor: bar.assetId ? "pointer" : "default",
+                      "&:hover": { opacity: 1 },
+                    }}
+                  />
+                </Tooltip>
+              ))}
+            </Box>
+          </Box>
+        ))
+      )}
+    </Box>
+  );
+};
+
+export default VisitTimeline;
@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Typography,
+} from "@mui/material";
+import {
+  DEFAULT_CORRIDOR_WIDTH,
+  corridorGeometry,
+  formatZoneArea,
+} from "../utils/geofence";
+import { validateZoneForm } from "../utils/zoneProperties";
+import {
+  ZonePropertiesFields,
+  zoneFormToFields,
+  zoneFormValues,
+} from "./ZonePropertiesDialog";
+
+const PREVIEW_SIZE = 160;
+const PREVIEW_PADDING = 8;
+
+const geometryRings = (geometry) => {
+  if (geometry.type === "Polygon") return geometry.coordinates;
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.flat();
+  return [];
+};
+
+// Corridor outline, or none when the line is too short to buffer
+const corridorRings = (zone) => {
+  try {
+    return geometryRings(corridorGeometry(zone));
+  } catch (error) {
+    return [];
+  }
+};
+
+// Small SVG outline of a zone geometry, scaled to fit the preview box
+const ZoneShapePreview = ({ zone }) => {
+  const line =
+    zone.geojson.type === "LineString" ? zone.geojson.coordinates : null;
+  const rings = line ? corridorRings(zone) : geometryRings(zone.geojson);
+  const points = [...rings.flat(), ...(line || [])];
+  if (points.length === 0) return null;
+
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const kx = Math.cos((((minY + Math.max(...ys)) / 2) * Math.PI) / 180);
+  const span = Math.max((Math.max(...xs) - minX) * kx, Math.max(...ys) - minY);
+  const scale = (PREVIEW_SIZE - 2 * PREVIEW_PADDING) / (span || 1);
+
+  const project = ([x, y]) =>
+    `${PREVIEW_PADDING + (x - minX) * kx * scale},${
+      PREVIEW_SIZE - PREVIEW_PADDING - (y - minY) * scale
+    }`;
+  const ringPath = rings
+    .map((ring) => `M${ring.map(project).join(" L")} Z`)
+    .join(" ");
+
+  return (
+    <svg
+      width={PREVIEW_SIZE}
+      height={PREVIEW_SIZE}
+      style={{ background: "#f5f5f5", borderRadius: 4 }}
+    >
+      <path
+        d={ringPath}
+        fill="#2196F3"
+        fillOpacity={0.3}
+        fillRule="evenodd"
+        stroke="#1976D2"
+      />
+      {line && (
+        <polyline
+          points={line.map(project).join(" ")}
+          fill="none"
+          stroke="#1976D2"
+          strokeWidth={2}
+        />
+      )}
+    </svg>
+  );
+};
+
+// Collects name and properties for newly drawn or uploaded shapes.
+// drafts: [{ geojson, suggestedName, source }]; onSubmit receives
+// [{ geojson, fields }] for every draft that was not skipped.
+const ZoneCreateDialog = ({ drafts, onSubmit, onCancel }) => {
+  const [index, setIndex] = useState(0);
+  const [accepted, setAccepted] = useState([]);
+  const [values, setValues] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [applyToAll, setApplyToAll] = useState(false);
+
+  const draft = drafts[index];
+  const corridor = draft?.geojson.type === "LineString";
+  const remaining = drafts.length - index - 1;
+
+  useEffect(() => {
+    setIndex(0);
+    setAccepted([]);
+    setApplyToAll(false);
+  }, [drafts]);
+
+  useEffect(() => {
+    setValues(
+      draft
+        ? zoneFormValues({ name: draft.suggestedName, geojson: draft.geojson })
+        : null
+    );
+    setErrors({});
+  }, [draft]);
+
+  const advance = (entries, nextIndex) => {
+    const collected = [...accepted, ...entries];
+    if (nextIndex >= drafts.length) {
+      onSubmit(collected);
+      return;
+    }
+    setAccepted(collected);
+    setIndex(nextIndex);
+  };
+
+  const handleConfirm = () => {
+    const formErrors = validateZoneForm(values, { corridor });
+    setErrors(formErrors);
+    if (Object.keys(formErrors).length > 0) return;
+
+    const fields = zoneFormToFields(values, corridor);
+    const entry = { geojson: draft.geojson, fields };
+
+    if (!applyToAll) {
+      advance([entry], index + 1);
+      return;
+    }
+
+    // Share everything but the name and corridor width with the rest of the batch
+    const { name, corridorWidth, ...shared } = fields;
+    const rest = drafts.slice(index + 1).map((other, offset) => ({
+      geojson: other.geojson,
+      fields: {
+        ...shared,
+        name: other.suggestedName?.trim() || `${name} ${offset + 2}`,
+        ...(other.geojson.type === "LineString"
+          ? { corridorWidth: corridorWidth ?? DEFAULT_CORRIDOR_WIDTH }
+          : {}),
+      },
+    }));
+    advance([entry, ...rest], drafts.length);
+  };
+
+  if (!draft || !values) return null;
+
+  const previewZone = {
+    geojson: draft.geojson,
+    corridorWidth: values.corridorWidth,
+  };
+
+  return (
+    <Dialog open onClose={onCancel} fullWidth>
+      <DialogTitle>
+        New zone
+        {drafts.length > 1 && ` (${index + 1} of ${drafts.length})`}
+      </DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: "flex", gap: 2, alignItems: "center", mb: 2 }}>
+          <ZoneShapePreview zone={previewZone} />
+          <Box>
+            <Typography variant="subtitle2">
+              {corridor ? "Corridor" : draft.geojson.type}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Area: {formatZoneArea(previewZone)}
+            </Typography>
+            {draft.source && (
+              <Typography variant="caption" color="text.secondary">
+                From {draft.source}
+              </Typography>
+            )}
+          </Box>
+        </Box>
+        <ZonePropertiesFields
+          values={values}
+          errors={errors}
+          onChange={setValues}
+          corridor={corridor}
+        />
+        {remaining > 0 && (
+          <FormControlLabel
+            sx={{ mt: 1 }}
+            control={
+              <Checkbox
+                checked={applyToAll}
+                onChange={(e) => setApplyToAll(e.target.checked)}
+              />
+            }
+            label={`Apply these properties to the remaining ${remaining} zones`}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        {drafts.length > 1 && (
+          <Button onClick={() => advance([], index + 1)}>Skip</Button>
+        )}
+        <Button variant="contained" onClick={handleConfirm}>
+          {remaining > 0 && !applyToAll ? "Next" : "Save"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ZoneCreateDialog;
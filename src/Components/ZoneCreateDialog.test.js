@@ -0,0 +1,75 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import ZoneCreateDialog from "./ZoneCreateDialog";
+
+const polygon = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [-73.96, 40.78],
+      [-73.95, 40.78],
+      [-73.95, 40.79],
+      [-73.96, 40.78],
+    ],
+  ],
+};
+
+test("requires a zone name before saving", () => {
+  const onSubmit = jest.fn();
+  render(
+    <ZoneCreateDialog
+      drafts={[{ geojson: polygon, suggestedName: "" }]}
+      onSubmit={onSubmit}
+      onCancel={() => {}}
+    />
+  );
+
+  expect(screen.getByText(/Area:/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "Save" }));
+
+  expect(screen.getByText("Zone name is required")).toBeInTheDocument();
+  expect(onSubmit).not.toHaveBeenCalled();
+});
+
+test("applies properties to the rest of a batch upload", () => {
+  const onSubmit = jest.fn();
+  render(
+    <ZoneCreateDialog
+      drafts={[
+        { geojson: polygon, suggestedName: "Yard" },
+        { geojson: polygon, suggestedName: "Bay" },
+        { geojson: polygon, suggestedName: "" },
+      ]}
+      onSubmit={onSubmit}
+      onCancel={() => {}}
+    />
+  );
+
+  fireEvent.change(screen.getByLabelText(/Description/), {
+    target: { value: "North site" },
+  });
+  fireEvent.click(screen.getByLabelText(/Apply these properties/));
+  fireEvent.click(screen.getByRole("button", { name: "Save" }));
+
+  const entries = onSubmit.mock.calls[0][0];
+  expect(entries.map((e) => e.fields.name)).toEqual(["Yard", "Bay", "Yard 3"]);
+  expect(entries.every((e) => e.fields.description === "North site")).toBe(
+    true
+  );
+});
+
+test("renders a corridor too short to buffer without crashing", () => {
+  render(
+    <ZoneCreateDialog
+      drafts={[
+        {
+          geojson: { type: "LineString", coordinates: [[-73.96, 40.78]] },
+          suggestedName: "Stub",
+        },
+      ]}
+      onSubmit={() => {}}
+      onCancel={() => {}}
+    />
+  );
+
+  expect(screen.getByText("Area: —")).toBeInTheDocument();
+});
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { Button, Divider, ListSubheader, Menu, MenuItem } from "@mui/material";
+import { FileDownload as FileDownloadIcon } from "@mui/icons-material";
+import dayjs from "dayjs";
+import { downloadFile } from "../utils/download";
+import { ZONE_EXPORT_FORMATS } from "../utils/zoneExport";
+
+// Export menu for the zones list: pick a scope, then a format to download
+const ZoneExportMenu = ({ zones, zoneVisibility, selectedZoneIds }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [scope, setScope] = useState("all");
+
+  const scopes = [
+    { value: "all", label: "All zones", zones },
+    {
+      value: "visible",
+      label: "Visible zones",
+      zones: zones.filter((zone) => zoneVisibility[zone.id]),
+    },
+    {
+      value: "selected",
+      label: "Selected zones",
+      zones: zones.filter((zone) => selectedZoneIds.includes(zone.id)),
+    },
+  ];
+  const scopeZones = scopes.find((s) => s.value === scope).zones;
+
+  const handleExport = (format) => {
+    setAnchorEl(null);
+    try {
+      downloadFile(
+        `zones-${scope}-${dayjs().format("YYYY-MM-DD")}.${format.extension}`,
+        format.serialize(scopeZones),
+        format.mimeType
+      );
+    } catch (err) {
+      console.error("❌ Zone export failed:", err);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<FileDownloadIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={zones.length === 0}
+      >
+        Export Zones
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        <ListSubheader>Zones</ListSubheader>
+        {scopes.map((option) => (
+          <MenuItem
+            key={option.value}
+            selected={option.value === scope}
+            onClick={() => setScope(option.value)}
+          >
+            {option.label} ({option.zones.length})
+          </MenuItem>
+        ))}
+        <Divider />
+        <ListSubheader>Download as</ListSubheader>
+        {ZONE_EXPORT_FORMATS.map((format) => (
+          <MenuItem
+            key={format.value}
+            disabled={scopeZones.length === 0}
+            onClick={() => handleExport(format)}
+          >
+            {format.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default ZoneExportMenu;
@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+} from "@mui/material";
+import {
+  ZONE_CATEGORIES,
+  ZONE_PRIORITIES,
+  validateZoneForm,
+  zoneProperties,
+} from "../utils/zoneProperties";
+import { corridorWidth, isCorridorZone } from "../utils/geofence";
+import { scheduleFields } from "../utils/zoneSchedule";
+import ZoneScheduleEditor from "./ZoneScheduleEditor";
+
+// Form values for an existing zone (or a new one when only geojson is known)
+export const zoneFormValues = (zone) => ({
+  name: zone.name || "",
+  ...zoneProperties(zone),
+  ...(isCorridorZone(zone) ? { corridorWidth: corridorWidth(zone) } : {}),
+  minDwellMinutes: zone.minDwellMinutes ?? "",
+  maxDwellMinutes: zone.maxDwellMinutes ?? "",
+  approachRadiusMeters: zone.approachRadiusMeters ?? "",
+  speedLimitKmh: zone.speedLimitKmh ?? "",
+  // Server and broadcast zones may carry a partial schedule
+  schedule: scheduleFields(zone).schedule ?? null,
+});
+
+// Empty rule inputs clear the rule
+const optionalNumber = (value) =>
+  value === undefined || value === "" ? null : Number(value);
+
+// Name + property inputs, shared by the edit and create dialogs
+export const ZonePropertiesFields = ({
+  values,
+  errors = {},
+  onChange,
+  corridor = false,
+  hideName = false,
+}) => {
+  const handleChange = (field) => (event) =>
+    onChange({ ...values, [field]: event.target.value });
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+      {!hideName && (
+        <TextField
+          label="Zone name"
+          value={values.name}
+          onChange={handleChange("name")}
+          error={Boolean(errors.name)}
+          helperText={errors.name}
+          required
+          autoFocus
+          size="small"
+        />
+      )}
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Color"
+          type="color"
+          value={values.color}
+          onChange={handleChange("color")}
+          error={Boolean(errors.color)}
+          helperText={errors.color}
+          size="small"
+          sx={{ width: 100 }}
+        />
+        <TextField
+          select
+          label="Category"
+          value={values.category}
+          onChange={handleChange("category")}
+          size="small"
+          sx={{ flex: 1 }}
+        >
+          {ZONE_CATEGORIES.map(({ value, label }) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          label="Priority"
+          value={values.priority}
+          onChange={handleChange("priority")}
+          size="small"
+          sx={{ flex: 1 }}
+        >
+          {ZONE_PRIORITIES.map(({ value, label }) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      {corridor && (
+        <TextField
+          label="Corridor width (m)"
+          type="number"
+          value={values.corridorWidth}
+          onChange={handleChange("corridorWidth")}
+          error={Boolean(errors.corridorWidth)}
+          helperText={errors.corridorWidth}
+          inputProps={{ min: 1 }}
+          size="small"
+        />
+      )}
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Min stay (minutes)"
+          type="number"
+          value={values.minDwellMinutes ?? ""}
+          onChange={handleChange("minDwellMinutes")}
+          error={Boolean(errors.minDwellMinutes)}
+          helperText={errors.minDwellMinutes || "Alert on shorter stays"}
+          inputProps={{ min: 0, step: "any" }}
+          size="small"
+          sx={{ flex: 1 }}
+        />
+        <TextField
+          label="Max stay (minutes)"
+          type="number"
+          value={values.maxDwellMinutes ?? ""}
+          onChange={handleChange("maxDwellMinutes")}
+          error={Boolean(errors.maxDwellMinutes)}
+          helperText={errors.maxDwellMinutes || "Alert while still inside"}
+          inputProps={{ min: 0, step: "any" }}
+          size="small"
+          sx={{ flex: 1 }}
+        />
+      </Box>
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Approach alert (m)"
+          type="number"
+          value={values.approachRadiusMeters ?? ""}
+          onChange={handleChange("approachRadiusMeters")}
+          error={Boolean(errors.approachRadiusMeters)}
+          helperText={
+            errors.approachRadiusMeters ||
+            "Alert when an asset comes this close to the edge"
+          }
+          inputProps={{ min: 0 }}
+          size="small"
+          sx={{ flex: 1 }}
+        />
+        <TextField
+          label="Speed limit (km/h)"
+          type="number"
+          value={values.speedLimitKmh ?? ""}
+          onChange={handleChange("speedLimitKmh")}
+          error={Boolean(errors.speedLimitKmh)}
+          helperText={errors.speedLimitKmh || "Alert on overspeed inside"}
+          inputProps={{ min: 0 }}
+          size="small"
+          sx={{ flex: 1 }}
+        />
+      </Box>
+      <ZoneScheduleEditor
+        schedule={values.schedule}
+        error={errors.schedule}
+        onChange={(schedule) => onChange({ ...values, schedule })}
+      />
+      <TextField
+        label="Description"
+        value={values.description}
+        onChange={handleChange("description")}
+        multiline
+        minRows={2}
+        size="small"
+      />
+    </Box>
+  );
+};
+
+// Normalises form values into the fields persisted on the zone
+export const zoneFormToFields = (values, corridor) => ({
+  name: values.name.trim(),
+  color: values.color,
+  category: values.category,
+  priority: values.priority,
+  description: values.description.trim(),
+  ...(corridor ? { corridorWidth: Number(values.corridorWidth) } : {}),
+  minDwellMinutes: optionalNumber(values.minDwellMinutes),
+  maxDwellMinutes: optionalNumber(values.maxDwellMinutes),
+  approachRadiusMeters: optionalNumber(values.approachRadiusMeters),
+  speedLimitKmh: optionalNumber(values.speedLimitKmh),
+  schedule: values.schedule || null,
+});
+
+const ZonePropertiesDialog = ({ zone, onClose, onSave }) => {
+  const [values, setValues] = useState(null);
+  const [errors, setErrors] = useState({});
+  const corridor = Boolean(zone && isCorridorZone(zone));
+
+  useEffect(() => {
+    setValues(zone ? zoneFormValues(zone) : null);
+    setErrors({});
+  }, [zone]);
+
+  const handleSave = () => {
+    const formErrors = validateZoneForm(values, { corridor });
+    setErrors(formErrors);
+    if (Object.keys(formErrors).length > 0) return;
+
+    onSave(zone, zoneFormToFields(values, corridor));
+  };
+
+  return (
+    <Dialog open={Boolean(zone && values)} onClose={onClose} fullWidth>
+      <DialogTitle>Zone details</DialogTitle>
+      <DialogContent>
+        {values && (
+          <ZonePropertiesFields
+            values={values}
+            errors={errors}
+            onChange={setValues}
+            corridor={corridor}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ZonePropertiesDialog;
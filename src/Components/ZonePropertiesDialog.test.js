@@ -0,0 +1,18 @@
+import { render, screen } from "@testing-library/react";
+import { ZonePropertiesFields, zoneFormValues } from "./ZonePropertiesDialog";
+
+test("opens a zone whose schedule has no windows or exceptions", () => {
+  const values = zoneFormValues({
+    name: "Yard",
+    geojson: { type: "Polygon", coordinates: [] },
+    schedule: { timezone: "UTC" },
+  });
+  expect(values.schedule).toEqual({
+    timezone: "UTC",
+    windows: [],
+    exceptions: [],
+  });
+
+  render(<ZonePropertiesFields values={values} onChange={() => {}} />);
+  expect(screen.getByText(/active all day/)).toBeInTheDocument();
+});
@@ -0,0 +1,196 @@
+import React, { useState } from "react";
+import {
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  IconButton,
+  Switch,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import { Delete as DeleteIcon } from "@mui/icons-material";
+import {
+  DEFAULT_SCHEDULE_WINDOW,
+  WEEKDAYS,
+  newSchedule,
+  timezoneOptions,
+} from "../utils/zoneSchedule";
+
+// Schedule part of the zone form: weekly time windows in a timezone plus
+// dates the zone stays dormant. A null schedule keeps the zone always active.
+const ZoneScheduleEditor = ({ schedule, error, onChange }) => {
+  const [exceptionDate, setExceptionDate] = useState("");
+
+  const updateWindow = (index, changes) =>
+    onChange({
+      ...schedule,
+      windows: schedule.windows.map((window, i) =>
+        i === index ? { ...window, ...changes } : window
+      ),
+    });
+
+  const addException = () => {
+    if (!exceptionDate || schedule.exceptions.includes(exceptionDate)) return;
+    onChange({
+      ...schedule,
+      exceptions: [...schedule.exceptions, exceptionDate].sort(),
+    });
+    setExceptionDate("");
+  };
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 1.5 }}>
+      <FormControlLabel
+        control={
+          <Switch
+            checked={Boolean(schedule)}
+            onChange={(event) =>
+              onChange(event.target.checked ? newSchedule() : null)
+            }
+          />
+        }
+        label="Active only on a schedule"
+      />
+      {schedule && (
+        <>
+          <Autocomplete
+            options={timezoneOptions()}
+            value={schedule.timezone}
+            onChange={(event, timezone) => onChange({ ...schedule, timezone })}
+            disableClearable
+            size="small"
+            renderInput={(params) => <TextField {...params} label="Timezone" />}
+          />
+          {schedule.windows.map((window, index) => (
+            <Box
+              key={index}
+              sx={{
+                display: "flex",
+                gap: 1,
+                alignItems: "center",
+                flexWrap: "wrap",
+              }}
+            >
+              <ToggleButtonGroup
+                size="small"
+                value={window.days}
+                onChange={(event, days) => updateWindow(index, { days })}
+              >
+                {WEEKDAYS.map(({ value, label }) => (
+                  <ToggleButton key={value} value={value}>
+                    {label}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+              <TextField
+                label="From"
+                type="time"
+                value={window.start}
+                onChange={(event) =>
+                  updateWindow(index, { start: event.target.value })
+                }
+                InputLabelProps={{ shrink: true }}
+                size="small"
+                sx={{ width: 120 }}
+              />
+              <TextField
+                label="To"
+                type="time"
+                value={window.end}
+                onChange={(event) =>
+                  updateWindow(index, { end: event.target.value })
+                }
+                InputLabelProps={{ shrink: true }}
+                size="small"
+                sx={{ width: 120 }}
+              />
+              <Tooltip title="Remove time window">
+                <IconButton
+                  size="small"
+                  onClick={() =>
+                    onChange({
+                      ...schedule,
+                      windows: schedule.windows.filter((_, i) => i !== index),
+                    })
+                  }
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Box>
+          ))}
+          <Box>
+            <Button
+              size="small"
+              onClick={() =>
+                onChange({
+                  ...schedule,
+                  windows: [
+                    ...schedule.windows,
+                    { ...DEFAULT_SCHEDULE_WINDOW },
+                  ],
+                })
+              }
+            >
+              Add time window
+            </Button>
+          </Box>
+          {!schedule.windows.length && (
+            <Typography variant="caption" color="text.secondary">
+              Without time windows the zone is active all day, except on the
+              dates below.
+            </Typography>
+          )}
+          <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+            <TextField
+              label="Exception date"
+              type="date"
+              value={exceptionDate}
+              onChange={(event) => setExceptionDate(event.target.value)}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+            />
+            <Button
+              size="small"
+              onClick={addException}
+              disabled={!exceptionDate}
+            >
+              Add date
+            </Button>
+          </Box>
+          {schedule.exceptions.length > 0 && (
+            <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+              {schedule.exceptions.map((date) => (
+                <Chip
+                  key={date}
+                  label={date}
+                  size="small"
+                  onDelete={() =>
+                    onChange({
+                      ...schedule,
+                      exceptions: schedule.exceptions.filter(
+                        (other) => other !== date
+                      ),
+                    })
+                  }
+                />
+              ))}
+            </Box>
+          )}
+        </>
+      )}
+      {error && (
+        <Typography variant="caption" color="error">
+          {error}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ZoneScheduleEditor;
@@ -0,0 +1,11 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+// allows you to do things like:
+// expect(element).toHaveTextContent(/react/i)
+// learn more: https://github.com/testing-library/jest-dom
+import '@testing-library/jest-dom';
+
+// jsdom lacks TextEncoder. @mui/x-internals/hash creates one at module load,
+// and @mui/x-data-grid imports it, so suites importing App (which pulls in
+// LogHistoryTable) need this before their imports run.
+import { TextEncoder } from 'util';
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
@@ -0,0 +1,57 @@
+// Approach alerts: zones with approachRadiusMeters raise APPROACHING once
+// when an asset comes within that distance of the zone edge. Stored flat on
+// the zone, like the dwell rules.
+import { zoneDepth } from "./geofence";
+
+export const approachRadius = (zone) => {
+  const value = zone.approachRadiusMeters;
+  const meters = Number(value);
+  return value !== null && value !== "" && meters > 0 ? meters : null;
+};
+
+// Only set when the zone has a radius, for export and import
+export const approachRuleFields = (zone) =>
+  approachRadius(zone) === null
+    ? {}
+    : { approachRadiusMeters: approachRadius(zone) };
+
+// Returns { field: message } for the approach input of the zone form
+export const validateApproachRadius = (values) => {
+  const value = values.approachRadiusMeters;
+  return value !== undefined && value !== "" && !(Number(value) > 0)
+    ? { approachRadiusMeters: "Enter a positive distance or leave empty" }
+    : {};
+};
+
+// Zones the asset has come near since the last fix. near (zoneId -> true)
+// holds the zones already alerted on; one re-arms once the asset is more
+// than rearmMeters beyond the radius, so jitter at the radius does not
+// repeat the alert. Zones the asset is inside count as near, so leaving one
+// does not raise APPROACHING.
+export const findApproaches = (zones, point, membership, near, rearmMeters) => {
+  const approaching = [];
+  const stillNear = {};
+
+  zones.forEach((zone) => {
+    const radius = approachRadius(zone);
+    if (radius === null) return;
+
+    let distanceMeters;
+    try {
+      distanceMeters = -zoneDepth(zone, point);
+    } catch (error) {
+      console.warn("Error measuring zone distance:", error);
+      return;
+    }
+
+    const wasNear = Boolean(near[zone.id]);
+    if (distanceMeters > radius + (wasNear ? rearmMeters : 0)) return;
+
+    stillNear[zone.id] = true;
+    if (!wasNear && distanceMeters > 0 && !membership[zone.id]) {
+      approaching.push({ zone, distanceMeters });
+    }
+  });
+
+  return { approaching, near: stillNear };
+};
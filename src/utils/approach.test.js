@@ -0,0 +1,73 @@
+import {
+  approachRadius,
+  approachRuleFields,
+  findApproaches,
+  validateApproachRadius,
+} from "./approach";
+
+// ~111 m square on the equator with a 500 m approach radius
+const depot = {
+  id: "depot",
+  name: "Depot",
+  approachRadiusMeters: 500,
+  geojson: {
+    type: "Polygon",
+    coordinates: [
+      [
+        [0, 0],
+        [0.001, 0],
+        [0.001, 0.001],
+        [0, 0.001],
+        [0, 0],
+      ],
+    ],
+  },
+};
+
+test("approachRadius ignores empty and non-positive values", () => {
+  expect(approachRadius(depot)).toBe(500);
+  expect(approachRadius({ approachRadiusMeters: "" })).toBeNull();
+  expect(approachRuleFields({ approachRadiusMeters: 0 })).toEqual({});
+  expect(approachRuleFields({ approachRadiusMeters: "250" })).toEqual({
+    approachRadiusMeters: 250,
+  });
+});
+
+test("validateApproachRadius rejects non-positive distances", () => {
+  expect(validateApproachRadius({ approachRadiusMeters: "" })).toEqual({});
+  expect(validateApproachRadius({ approachRadiusMeters: "-5" })).toHaveProperty(
+    "approachRadiusMeters"
+  );
+});
+
+test("findApproaches alerts once and re-arms beyond the radius", () => {
+  const near = [0.0005, -0.004]; // ~445 m south of the edge
+  const far = [0.0005, -0.006]; // ~667 m
+
+  const first = findApproaches([depot], near, {}, {}, 10);
+  expect(first.approaching).toHaveLength(1);
+  expect(first.approaching[0].distanceMeters).toBeCloseTo(445, -1);
+
+  const again = findApproaches([depot], near, {}, first.near, 10);
+  expect(again.approaching).toEqual([]);
+
+  const away = findApproaches([depot], far, {}, again.near, 10);
+  expect(away.near).toEqual({});
+
+  const back = findApproaches([depot], near, {}, away.near, 10);
+  expect(back.approaching).toHaveLength(1);
+});
+
+test("findApproaches stays quiet inside the zone and when leaving it", () => {
+  const inside = findApproaches([depot], [0.0005, 0.0005], {}, {}, 10);
+  expect(inside.approaching).toEqual([]);
+
+  const leaving = findApproaches(
+    [depot],
+    [0.0005, -0.001],
+    {},
+    inside.near,
+    10
+  );
+  expect(leaving.approaching).toEqual([]);
+});
@@ -0,0 +1,25 @@
+// Identity attached to zone broadcasts so other dispatchers can see who
+// changed what. There is no login yet, so the name comes from
+// REACT_APP_USER_NAME or a generated one remembered by this browser.
+
+const USER_NAME_KEY = "zoneManager.userName";
+
+const randomId = () => Math.random().toString(36).slice(2, 10);
+
+// Distinguishes this tab from others, including other tabs of the same user
+export const CLIENT_ID = randomId();
+
+export const currentUserName = () => {
+  if (process.env.REACT_APP_USER_NAME) return process.env.REACT_APP_USER_NAME;
+
+  try {
+    let name = window.localStorage.getItem(USER_NAME_KEY);
+    if (!name) {
+      name = `Dispatcher ${randomId().slice(0, 4).toUpperCase()}`;
+      window.localStorage.setItem(USER_NAME_KEY, name);
+    }
+    return name;
+  } catch (err) {
+    return "Another dispatcher";
+  }
+};
@@ -0,0 +1,22 @@
+// Triggers a browser download of in-memory content
+export const downloadFile = (filename, content, mimeType) => {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// RFC 4180 field quoting
+export const csvField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n");
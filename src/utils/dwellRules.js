@@ -0,0 +1,56 @@
+// Per-zone dwell thresholds: maxDwellMinutes raises DWELL_EXCEEDED while the
+// asset is still inside, minDwellMinutes raises DWELL_TOO_SHORT on an early
+// exit. Both are optional and stored flat on the zone, like corridorWidth.
+
+const MINUTE = 60000;
+
+const positiveMinutes = (value) => {
+  const minutes = Number(value);
+  return value !== null && value !== "" && minutes > 0 ? minutes : null;
+};
+
+// { minMs, maxMs }, each null when the zone has no such rule
+export const dwellLimits = (zone) => {
+  const min = positiveMinutes(zone.minDwellMinutes);
+  const max = positiveMinutes(zone.maxDwellMinutes);
+  return {
+    minMs: min === null ? null : min * MINUTE,
+    maxMs: max === null ? null : max * MINUTE,
+  };
+};
+
+// Only the rules that are set, for export and import
+export const dwellRuleFields = (zone) =>
+  Object.fromEntries(
+    ["minDwellMinutes", "maxDwellMinutes"]
+      .map((field) => [field, positiveMinutes(zone[field])])
+      .filter(([, minutes]) => minutes !== null)
+  );
+
+export const hasDwellRules = (zone) => {
+  const { minMs, maxMs } = dwellLimits(zone);
+  return minMs !== null || maxMs !== null;
+};
+
+export const isDwellTooShort = (zone, durationMs) => {
+  const { minMs } = dwellLimits(zone);
+  return minMs !== null && durationMs < minMs;
+};
+
+// Returns { field: message } for the dwell inputs of the zone form
+export const validateDwellRules = (values) => {
+  const errors = {};
+  ["minDwellMinutes", "maxDwellMinutes"].forEach((field) => {
+    const value = values[field];
+    if (value !== undefined && value !== "" && !(Number(value) > 0)) {
+      errors[field] = "Enter a positive number of minutes or leave empty";
+    }
+  });
+
+  const min = positiveMinutes(values.minDwellMinutes);
+  const max = positiveMinutes(values.maxDwellMinutes);
+  if (!errors.maxDwellMinutes && min !== null && max !== null && min >= max) {
+    errors.maxDwellMinutes = "Must be longer than the minimum stay";
+  }
+  return errors;
+};
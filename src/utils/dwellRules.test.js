@@ -0,0 +1,33 @@
+import {
+  dwellLimits,
+  hasDwellRules,
+  isDwellTooShort,
+  validateDwellRules,
+} from "./dwellRules";
+
+test("dwellLimits converts minutes and ignores empty rules", () => {
+  expect(dwellLimits({ maxDwellMinutes: 20, minDwellMinutes: "" })).toEqual({
+    minMs: null,
+    maxMs: 20 * 60000,
+  });
+  expect(hasDwellRules({ minDwellMinutes: null })).toBe(false);
+});
+
+test("isDwellTooShort compares against the minimum stay", () => {
+  const zone = { minDwellMinutes: "2" };
+  expect(isDwellTooShort(zone, 90000)).toBe(true);
+  expect(isDwellTooShort(zone, 120000)).toBe(false);
+  expect(isDwellTooShort({}, 1000)).toBe(false);
+});
+
+test("validateDwellRules rejects bad numbers and inverted limits", () => {
+  expect(
+    validateDwellRules({ minDwellMinutes: "", maxDwellMinutes: "" })
+  ).toEqual({});
+  expect(validateDwellRules({ minDwellMinutes: "-1" })).toHaveProperty(
+    "minDwellMinutes"
+  );
+  expect(
+    validateDwellRules({ minDwellMinutes: "30", maxDwellMinutes: "20" })
+  ).toEqual({ maxDwellMinutes: "Must be longer than the minimum stay" });
+});
@@ -0,0 +1,7 @@
+// Parsing for numeric REACT_APP_* tuning knobs
+
+// Non-negative number, or the fallback when unset or invalid
+export const numberSetting = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== "" && number >= 0 ? number : fallback;
+};
@@ -0,0 +1,46 @@
+// Display text for zone event types posted to /log-event and /alert
+import { formatDuration } from "./geofence";
+
+export const EVENT_LABELS = {
+  ENTER: "Entered",
+  EXIT: "Exited",
+  CORRIDOR_ENTER: "Rejoined corridor",
+  CORRIDOR_EXIT: "Left corridor",
+  DWELL_EXCEEDED: "Stayed too long",
+  DWELL_TOO_SHORT: "Left too soon",
+  APPROACHING: "Approaching",
+  OVERSPEED: "Overspeed",
+};
+
+export const EVENT_ICONS = {
+  ENTER: "🟢",
+  EXIT: "🔴",
+  CORRIDOR_ENTER: "🟢",
+  CORRIDOR_EXIT: "🟠",
+  DWELL_EXCEEDED: "⏰",
+  DWELL_TOO_SHORT: "⏱️",
+  APPROACHING: "📍",
+  OVERSPEED: "🚨",
+};
+
+// Event types that open and close a stay in a zone
+export const ENTRY_EVENT_TYPES = ["ENTER", "CORRIDOR_ENTER"];
+export const EXIT_EVENT_TYPES = ["EXIT", "CORRIDOR_EXIT"];
+
+export const eventLabel = (type) => EVENT_LABELS[type] || type;
+
+export const formatEventType = (type) =>
+  `${EVENT_ICONS[type] || "⚪"} ${eventLabel(type)}`;
+
+// Extra data some events carry (approach distance, overspeed peak) as text
+export const eventDetails = (log) => {
+  if (log.type === "APPROACHING" && log.distanceMeters != null) {
+    return `${log.distanceMeters} m from the edge`;
+  }
+  if (log.type === "OVERSPEED" && log.peakSpeedKmh != null) {
+    return `Peak ${log.peakSpeedKmh} km/h (limit ${
+      log.speedLimitKmh
+    } km/h) for ${formatDuration(log.durationSeconds * 1000)}`;
+  }
+  return "";
+};
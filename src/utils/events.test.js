@@ -0,0 +1,21 @@
+import { eventDetails, formatEventType } from "./events";
+
+test("formatEventType falls back to the raw type", () => {
+  expect(formatEventType("OVERSPEED")).toBe("🚨 Overspeed");
+  expect(formatEventType("CUSTOM")).toBe("⚪ CUSTOM");
+});
+
+test("eventDetails describes approach and overspeed events", () => {
+  expect(eventDetails({ type: "APPROACHING", distanceMeters: 420 })).toBe(
+    "420 m from the edge"
+  );
+  expect(
+    eventDetails({
+      type: "OVERSPEED",
+      peakSpeedKmh: 38,
+      speedLimitKmh: 20,
+      durationSeconds: 75,
+    })
+  ).toBe("Peak 38 km/h (limit 20 km/h) for 1m 15s");
+  expect(eventDetails({ type: "ENTER" })).toBe("");
+});
@@ -0,0 +1,157 @@
+// Geofence evaluation helpers shared by ZoneManager.
+// Points are GeoJSON ordered: [lng, lat].
+import * as turf from "@turf/turf";
+
+export const DEFAULT_CORRIDOR_WIDTH = 50; // meters, full width of the band
+
+export const isCorridorZone = (zone) => zone.geojson.type === "LineString";
+
+export const corridorWidth = (zone) =>
+  Number(zone.corridorWidth) > 0
+    ? Number(zone.corridorWidth)
+    : DEFAULT_CORRIDOR_WIDTH;
+
+// Within half the corridor width of the route line
+export const corridorContainsPoint = (zone, point) =>
+  turf.pointToLineDistance(
+    turf.point(point),
+    turf.lineString(zone.geojson.coordinates),
+    { units: "meters" }
+  ) <=
+  corridorWidth(zone) / 2;
+
+// The band a LineString zone covers, as a Polygon/MultiPolygon geometry
+export const corridorGeometry = (zone) =>
+  turf.buffer(
+    turf.lineString(zone.geojson.coordinates),
+    corridorWidth(zone) / 2,
+    { units: "meters" }
+  ).geometry;
+
+// Covered area in square meters; corridors count their buffered band
+export const zoneArea = (zone) =>
+  turf.area(isCorridorZone(zone) ? corridorGeometry(zone) : zone.geojson);
+
+export const formatArea = (squareMeters) => {
+  if (squareMeters < 10000) return `${Math.round(squareMeters)} m²`;
+  if (squareMeters < 1000000) return `${(squareMeters / 10000).toFixed(2)} ha`;
+  return `${(squareMeters / 1000000).toFixed(2)} km²`;
+};
+
+// formatArea for a zone, or a dash when its geometry is degenerate
+export const formatZoneArea = (zone) => {
+  try {
+    return formatArea(zoneArea(zone));
+  } catch (error) {
+    return "—";
+  }
+};
+
+// Ray-casting point-in-polygon test against a single linear ring
+export const pointInRing = (point, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const straddles = yi > point[1] ? yj <= point[1] : yj > point[1];
+
+    if (
+      straddles &&
+      point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+export const polygonContainsPoint = (rings, point) =>
+  pointInRing(point, rings[0]) &&
+  !rings.slice(1).some((hole) => pointInRing(point, hole));
+
+export const zoneContainsPoint = (zone, point) => {
+  const { type, coordinates } = zone.geojson;
+
+  if (type === "Polygon") {
+    return polygonContainsPoint(coordinates, point);
+  }
+
+  if (type === "MultiPolygon") {
+    return coordinates.some((rings) => polygonContainsPoint(rings, point));
+  }
+
+  if (type === "LineString") {
+    return corridorContainsPoint(zone, point);
+  }
+
+  return false;
+};
+
+const zoneRings = ({ type, coordinates }) => {
+  if (type === "Polygon") return coordinates;
+  if (type === "MultiPolygon") return coordinates.flat();
+  return [];
+};
+
+// Signed distance in meters from the zone edge: positive inside, negative
+// outside. Corridors measure from the edge of their band.
+export const zoneDepth = (zone, point) => {
+  if (isCorridorZone(zone)) {
+    const fromLine = turf.pointToLineDistance(
+      turf.point(point),
+      turf.lineString(zone.geojson.coordinates),
+      { units: "meters" }
+    );
+    return corridorWidth(zone) / 2 - fromLine;
+  }
+
+  const toEdge = Math.min(
+    ...zoneRings(zone.geojson).map((ring) =>
+      turf.pointToLineDistance(turf.point(point), turf.lineString(ring), {
+        units: "meters",
+      })
+    )
+  );
+  return zoneContainsPoint(zone, point) ? toEdge : -toEdge;
+};
+
+// Every zone containing the point, in zone list order
+export const findContainingZones = (zones, point) =>
+  zones.filter((zone) => {
+    try {
+      return zoneContainsPoint(zone, point);
+    } catch (error) {
+      console.warn("Error checking zone intersection:", error);
+      return false;
+    }
+  });
+
+// Set difference between the previous membership (zoneId -> entry) and the
+// zones that contain the asset now
+export const diffZoneMembership = (previous, currentZones) => {
+  const currentIds = new Set(currentZones.map((zone) => String(zone.id)));
+
+  return {
+    entered: currentZones.filter((zone) => !previous[zone.id]),
+    exited: Object.keys(previous)
+      .filter((zoneId) => !currentIds.has(zoneId))
+      .map((zoneId) => previous[zoneId]),
+  };
+};
+
+// Event type for a membership change; corridors report leaving/rejoining the route
+export const transitionType = (zone, entering) => {
+  if (isCorridorZone(zone)) {
+    return entering ? "CORRIDOR_ENTER" : "CORRIDOR_EXIT";
+  }
+  return entering ? "ENTER" : "EXIT";
+};
+
+export const formatDuration = (durationMs) => {
+  const minutes = Math.floor(durationMs / 60000);
+  const seconds = Math.floor((durationMs % 60000) / 1000);
+  return `${minutes}m ${seconds}s`;
+};
@@ -0,0 +1,133 @@
+import {
+  diffZoneMembership,
+  findContainingZones,
+  formatDuration,
+  pointInRing,
+  transitionType,
+  zoneContainsPoint,
+  zoneDepth,
+} from "./geofence";
+
+const square = (minX, minY, maxX, maxY) => [
+  [minX, minY],
+  [maxX, minY],
+  [maxX, maxY],
+  [minX, maxY],
+  [minX, minY],
+];
+
+const yard = {
+  id: "yard",
+  name: "Yard",
+  geojson: { type: "Polygon", coordinates: [square(0, 0, 10, 10)] },
+};
+const bay = {
+  id: "bay",
+  name: "Loading Bay",
+  geojson: { type: "Polygon", coordinates: [square(2, 2, 4, 4)] },
+};
+
+test("pointInRing detects inside and outside points", () => {
+  expect(pointInRing([5, 5], square(0, 0, 10, 10))).toBe(true);
+  expect(pointInRing([15, 5], square(0, 0, 10, 10))).toBe(false);
+});
+
+test("findContainingZones returns every overlapping zone", () => {
+  expect(findContainingZones([yard, bay], [3, 3])).toEqual([yard, bay]);
+  expect(findContainingZones([yard, bay], [8, 8])).toEqual([yard]);
+  expect(findContainingZones([yard, bay], [20, 20])).toEqual([]);
+});
+
+test("zoneContainsPoint subtracts polygon holes", () => {
+  const courtyard = {
+    id: "courtyard",
+    name: "Courtyard",
+    geojson: {
+      type: "Polygon",
+      coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)],
+    },
+  };
+
+  expect(zoneContainsPoint(courtyard, [2, 2])).toBe(true);
+  expect(zoneContainsPoint(courtyard, [5, 5])).toBe(false);
+});
+
+test("zoneContainsPoint checks every MultiPolygon part", () => {
+  const site = {
+    id: "site",
+    name: "Site",
+    geojson: {
+      type: "MultiPolygon",
+      coordinates: [
+        [square(0, 0, 2, 2)],
+        [square(10, 10, 20, 20), square(14, 14, 16, 16)],
+      ],
+    },
+  };
+
+  expect(zoneContainsPoint(site, [1, 1])).toBe(true);
+  expect(zoneContainsPoint(site, [12, 12])).toBe(true);
+  expect(zoneContainsPoint(site, [15, 15])).toBe(false);
+  expect(zoneContainsPoint(site, [5, 5])).toBe(false);
+});
+
+test("zoneContainsPoint treats LineString zones as buffered corridors", () => {
+  // ~111 m per 0.001 degree of latitude on the equator
+  const route = {
+    id: "route",
+    name: "Route",
+    corridorWidth: 100,
+    geojson: {
+      type: "LineString",
+      coordinates: [
+        [0, 0],
+        [0.01, 0],
+      ],
+    },
+  };
+
+  expect(zoneContainsPoint(route, [0.005, 0.0004])).toBe(true);
+  expect(zoneContainsPoint(route, [0.005, 0.0006])).toBe(false);
+  expect(transitionType(route, false)).toBe("CORRIDOR_EXIT");
+  expect(transitionType(route, true)).toBe("CORRIDOR_ENTER");
+});
+
+test("zoneDepth is signed distance from the zone edge in meters", () => {
+  const pad = {
+    id: "pad",
+    name: "Pad",
+    geojson: { type: "Polygon", coordinates: [square(0, 0, 0.001, 0.001)] },
+  };
+  const route = {
+    id: "route",
+    name: "Route",
+    corridorWidth: 100,
+    geojson: {
+      type: "LineString",
+      coordinates: [
+        [0, 0],
+        [0.01, 0],
+      ],
+    },
+  };
+
+  expect(zoneDepth(pad, [0.0005, 0.0001])).toBeCloseTo(11.1, 0);
+  expect(zoneDepth(pad, [0.0005, -0.0001])).toBeCloseTo(-11.1, 0);
+  expect(zoneDepth(route, [0.005, 0.0004])).toBeCloseTo(5.5, 0);
+});
+
+test("diffZoneMembership emits per-zone transitions", () => {
+  const previous = { yard: { zone: yard, entryTime: "t0" } };
+
+  const entering = diffZoneMembership(previous, [yard, bay]);
+  expect(entering.entered).toEqual([bay]);
+  expect(entering.exited).toEqual([]);
+
+  const leaving = diffZoneMembership(previous, []);
+  expect(leaving.entered).toEqual([]);
+  expect(leaving.exited).toEqual([{ zone: yard, entryTime: "t0" }]);
+});
+
+test("formatDuration renders minutes and seconds", () => {
+  expect(formatDuration(125000)).toBe("2m 5s");
+});
@@ -0,0 +1,97 @@
+// Geofence hysteresis: keeps GPS jitter on a zone boundary from flipping an
+// asset in and out of the zone on every fix.
+import { numberSetting } from "./envSettings";
+import { diffZoneMembership, findContainingZones, zoneDepth } from "./geofence";
+
+export const HYSTERESIS_DEFAULTS = {
+  marginMeters: 10, // how far past the edge a fix must be to change state
+  confirmFixes: 2, // consecutive fixes agreeing on the new state
+  confirmSeconds: 0, // and for at least this long
+  minVisitSeconds: 0, // ENTER/EXIT pairs shorter than this are dropped
+};
+
+// REACT_APP_GEOFENCE_* overrides, falling back to HYSTERESIS_DEFAULTS
+export const resolveHysteresis = (env = process.env) => ({
+  marginMeters: numberSetting(
+    env.REACT_APP_GEOFENCE_MARGIN_METERS,
+    HYSTERESIS_DEFAULTS.marginMeters
+  ),
+  confirmFixes: Math.max(
+    1,
+    Math.round(
+      numberSetting(
+        env.REACT_APP_GEOFENCE_CONFIRM_FIXES,
+        HYSTERESIS_DEFAULTS.confirmFixes
+      )
+    )
+  ),
+  confirmSeconds: numberSetting(
+    env.REACT_APP_GEOFENCE_CONFIRM_SECONDS,
+    HYSTERESIS_DEFAULTS.confirmSeconds
+  ),
+  minVisitSeconds: numberSetting(
+    env.REACT_APP_GEOFENCE_MIN_VISIT_SECONDS,
+    HYSTERESIS_DEFAULTS.minVisitSeconds
+  ),
+});
+
+// Zones the asset counts as inside: entering takes marginMeters of depth,
+// leaving takes marginMeters beyond the edge, and in between the previous
+// membership (zoneId -> entry) stands
+export const zonesWithHysteresis = (zones, point, previous, marginMeters) => {
+  if (!marginMeters) return findContainingZones(zones, point);
+
+  return zones.filter((zone) => {
+    try {
+      const depth = zoneDepth(zone, point);
+      return previous[zone.id] ? depth > -marginMeters : depth >= marginMeters;
+    } catch (error) {
+      console.warn("Error checking zone intersection:", error);
+      return false;
+    }
+  });
+};
+
+// Counts how long each zone's membership change has been observed
+// (pending: zoneId -> { inside, since, last, fixes }) and returns the changes
+// that held for confirmFixes fixes and confirmSeconds. time is the fix's own
+// time: re-checking a fix that was already counted (same or older time) does
+// not count it again. A fix that agrees with the current membership again
+// drops the pending change.
+export const confirmTransitions = (
+  pending,
+  previous,
+  currentZones,
+  time,
+  { confirmFixes, confirmSeconds }
+) => {
+  const { entered, exited } = diffZoneMembership(previous, currentZones);
+  const changes = [
+    ...entered.map((zone) => ({ zone, inside: true })),
+    ...exited.map(({ zone }) => ({ zone, inside: false })),
+  ];
+  const confirmed = [];
+  const stillPending = {};
+
+  changes.forEach(({ zone, inside }) => {
+    const seen = pending[zone.id];
+    let change = { inside, since: time, last: time, fixes: 1 };
+    if (seen && seen.inside === inside) {
+      change =
+        time > seen.last
+          ? { ...seen, last: time, fixes: seen.fixes + 1 }
+          : seen;
+    }
+
+    if (
+      change.fixes >= confirmFixes &&
+      time - change.since >= confirmSeconds * 1000
+    ) {
+      confirmed.push({ zone, inside, since: change.since });
+    } else {
+      stillPending[zone.id] = change;
+    }
+  });
+
+  return { confirmed, pending: stillPending };
+};
@@ -0,0 +1,121 @@
+import {
+  confirmTransitions,
+  HYSTERESIS_DEFAULTS,
+  resolveHysteresis,
+  zonesWithHysteresis,
+} from "./hysteresis";
+
+// ~111 m square on the equator
+const pad = {
+  id: "pad",
+  name: "Pad",
+  geojson: {
+    type: "Polygon",
+    coordinates: [
+      [
+        [0, 0],
+        [0.001, 0],
+        [0.001, 0.001],
+        [0, 0.001],
+        [0, 0],
+      ],
+    ],
+  },
+};
+
+test("resolveHysteresis reads overrides and ignores invalid values", () => {
+  expect(resolveHysteresis({})).toEqual(HYSTERESIS_DEFAULTS);
+  expect(
+    resolveHysteresis({
+      REACT_APP_GEOFENCE_MARGIN_METERS: "25",
+      REACT_APP_GEOFENCE_CONFIRM_FIXES: "0",
+      REACT_APP_GEOFENCE_CONFIRM_SECONDS: "-3",
+      REACT_APP_GEOFENCE_MIN_VISIT_SECONDS: "60",
+    })
+  ).toEqual({
+    marginMeters: 25,
+    confirmFixes: 1,
+    confirmSeconds: HYSTERESIS_DEFAULTS.confirmSeconds,
+    minVisitSeconds: 60,
+  });
+});
+
+test("zonesWithHysteresis keeps the previous state inside the margin", () => {
+  const justInside = [0.0005, 0.00005]; // ~5.5 m from the edge
+  const justOutside = [0.0005, -0.00005];
+  const wellInside = [0.0005, 0.0005];
+  const inPad = { pad: { zone: pad, entryTime: "t0" } };
+
+  expect(zonesWithHysteresis([pad], justInside, {}, 10)).toEqual([]);
+  expect(zonesWithHysteresis([pad], wellInside, {}, 10)).toEqual([pad]);
+  expect(zonesWithHysteresis([pad], justOutside, inPad, 10)).toEqual([pad]);
+  expect(zonesWithHysteresis([pad], [0.0005, -0.0005], inPad, 10)).toEqual([]);
+  expect(zonesWithHysteresis([pad], justInside, {}, 0)).toEqual([pad]);
+});
+
+test("confirmTransitions waits for consecutive fixes and time", () => {
+  const settings = { confirmFixes: 2, confirmSeconds: 5 };
+
+  const first = confirmTransitions({}, {}, [pad], 1000, settings);
+  expect(first.confirmed).toEqual([]);
+  expect(first.pending).toEqual({
+    pad: { inside: true, since: 1000, last: 1000, fixes: 1 },
+  });
+
+  const tooSoon = confirmTransitions(first.pending, {}, [pad], 3000, settings);
+  expect(tooSoon.confirmed).toEqual([]);
+
+  const held = confirmTransitions(tooSoon.pending, {}, [pad], 6000, settings);
+  expect(held.confirmed).toEqual([{ zone: pad, inside: true, since: 1000 }]);
+  expect(held.pending).toEqual({});
+});
+
+test("confirmTransitions drops a pending change when the fix flips back", () => {
+  const settings = { confirmFixes: 3, confirmSeconds: 0 };
+  const inPad = { pad: { zone: pad, entryTime: "t0" } };
+
+  const leaving = confirmTransitions({}, inPad, [], 1000, settings);
+  expect(leaving.pending.pad).toEqual({
+    inside: false,
+    since: 1000,
+    last: 1000,
+    fixes: 1,
+  });
+
+  const back = confirmTransitions(
+    leaving.pending,
+    inPad,
+    [pad],
+    3000,
+    settings
+  );
+  expect(back).toEqual({ confirmed: [], pending: {} });
+});
+
+test("confirmTransitions counts each fix once across re-checks", () => {
+  const settings = { confirmFixes: 2, confirmSeconds: 0 };
+  const pending = {};
+  const check = (assetId, time) => {
+    const result = confirmTransitions(
+      pending[assetId] || {},
+      {},
+      [pad],
+      time,
+      settings
+    );
+    pending[assetId] = result.pending;
+    return result.confirmed;
+  };
+
+  // One boundary fix from truck-1, then truck-2 reports and every asset's
+  // latest position is checked again
+  expect(check("truck-1", 1000)).toEqual([]);
+  expect(check("truck-2", 2000)).toEqual([]);
+  expect(check("truck-1", 1000)).toEqual([]);
+  expect(pending["truck-1"].pad.fixes).toBe(1);
+
+  // A second fix from truck-1 confirms it
+  expect(check("truck-1", 3000)).toEqual([
+    { zone: pad, inside: true, since: 1000 },
+  ]);
+});
@@ -0,0 +1,162 @@
+// In-browser KML/KMZ parsing into the same feature shape parseZoneGeoJSON
+// returns: { kind: "features", features: [{ geojson, properties }], skipped }
+import JSZip from "jszip";
+
+const byTag = (node, name) =>
+  Array.from(node.getElementsByTagNameNS("*", name));
+
+const childByTag = (node, name) =>
+  Array.from(node.children).find((child) => child.localName === name);
+
+const textOf = (node, name) => {
+  const child = node && childByTag(node, name);
+  return child ? child.textContent.trim() : "";
+};
+
+// "lng,lat[,alt] lng,lat[,alt] ..." -> [[lng, lat], ...]
+const parseCoordinates = (text) =>
+  text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(",").slice(0, 2).map(Number))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+
+const ringCoordinates = (boundary) =>
+  byTag(boundary, "LinearRing").map((ring) =>
+    parseCoordinates(textOf(ring, "coordinates"))
+  );
+
+const polygonCoordinates = (polygon) => {
+  const outer = childByTag(polygon, "outerBoundaryIs");
+  const inner = Array.from(polygon.children).filter(
+    (child) => child.localName === "innerBoundaryIs"
+  );
+  return [
+    ...(outer ? ringCoordinates(outer).slice(0, 1) : []),
+    ...inner.flatMap(ringCoordinates),
+  ];
+};
+
+// KML colors are aabbggrr hex
+const kmlColorToHex = (value) => {
+  const match = /^[0-9a-f]{2}([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(
+    value.trim()
+  );
+  return match ? `#${match[3]}${match[2]}${match[1]}` : null;
+};
+
+const styleColor = (style) => {
+  if (!style) return null;
+  const polyStyle = childByTag(style, "PolyStyle");
+  const lineStyle = childByTag(style, "LineStyle");
+  return (
+    kmlColorToHex(textOf(polyStyle, "color")) ||
+    kmlColorToHex(textOf(lineStyle, "color"))
+  );
+};
+
+// Style id -> hex color, following StyleMap "normal" entries
+const sharedStyleColors = (doc) => {
+  const colors = {};
+  byTag(doc, "Style").forEach((style) => {
+    const id = style.getAttribute("id");
+    const color = styleColor(style);
+    if (id && color) colors[id] = color;
+  });
+  byTag(doc, "StyleMap").forEach((styleMap) => {
+    const id = styleMap.getAttribute("id");
+    const normal = byTag(styleMap, "Pair").find(
+      (pair) => textOf(pair, "key") === "normal"
+    );
+    const target = normal && textOf(normal, "styleUrl").replace(/^#/, "");
+    if (id && colors[target]) colors[id] = colors[target];
+  });
+  return colors;
+};
+
+const extendedData = (placemark) => {
+  const data = {};
+  byTag(placemark, "Data").forEach((item) => {
+    data[item.getAttribute("name")] = textOf(item, "value");
+  });
+  byTag(placemark, "SimpleData").forEach((item) => {
+    data[item.getAttribute("name")] = item.textContent.trim();
+  });
+  return data;
+};
+
+export const parseKml = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid KML document");
+  }
+
+  const colors = sharedStyleColors(doc);
+  const features = [];
+  let skipped = 0;
+
+  byTag(doc, "Placemark").forEach((placemark, index) => {
+    const name = textOf(placemark, "name") || `Placemark ${index + 1}`;
+    const properties = { ...extendedData(placemark), name };
+    const description = textOf(placemark, "description");
+    const color =
+      styleColor(childByTag(placemark, "Style")) ||
+      colors[textOf(placemark, "styleUrl").replace(/^#/, "")];
+    if (description) properties.description = description;
+    if (color) properties.color = color;
+
+    // MultiGeometry polygons become one MultiPolygon; lines stay separate
+    const polygons = byTag(placemark, "Polygon")
+      .map(polygonCoordinates)
+      .filter((rings) => rings.length > 0 && rings[0].length >= 4);
+    const lines = byTag(placemark, "LineString")
+      .map((line) => parseCoordinates(textOf(line, "coordinates")))
+      .filter((coordinates) => coordinates.length >= 2);
+
+    if (polygons.length === 0 && lines.length === 0) {
+      skipped++;
+      return;
+    }
+
+    if (polygons.length === 1) {
+      features.push({
+        geojson: { type: "Polygon", coordinates: polygons[0] },
+        properties,
+      });
+    } else if (polygons.length > 1) {
+      features.push({
+        geojson: { type: "MultiPolygon", coordinates: polygons },
+        properties,
+      });
+    }
+
+    lines.forEach((coordinates, lineIndex) =>
+      features.push({
+        geojson: { type: "LineString", coordinates },
+        properties:
+          lines.length + (polygons.length ? 1 : 0) > 1
+            ? { ...properties, name: `${name} (${lineIndex + 1})` }
+            : properties,
+      })
+    );
+  });
+
+  return { kind: "features", features, skipped };
+};
+
+// KMZ is a zip archive holding doc.kml (or another .kml) plus assets
+export const readKmz = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const kmlFiles = Object.values(zip.files).filter(
+    (entry) => !entry.dir && /\.kml$/i.test(entry.name)
+  );
+  const main =
+    kmlFiles.find((entry) => /(^|\/)doc\.kml$/i.test(entry.name)) ||
+    kmlFiles[0];
+
+  if (!main) {
+    throw new Error("KMZ archive contains no KML document");
+  }
+  return main.async("string");
+};
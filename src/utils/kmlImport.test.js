@@ -0,0 +1,72 @@
+import JSZip from "jszip";
+import { parseKml, readKmz } from "./kmlImport";
+
+const ring = (coords) =>
+  `<LinearRing><coordinates>${coords}</coordinates></LinearRing>`;
+
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Style id="red"><PolyStyle><color>7f0000ff</color></PolyStyle></Style>
+    <Placemark>
+      <name>Courtyard Block</name>
+      <styleUrl>#red</styleUrl>
+      <ExtendedData><Data name="owner"><value>ACME</value></Data></ExtendedData>
+      <Polygon>
+        <outerBoundaryIs>${ring(
+          "0,0,0 10,0,0 10,10,0 0,10,0 0,0,0"
+        )}</outerBoundaryIs>
+        <innerBoundaryIs>${ring("4,4 6,4 6,6 4,6 4,4")}</innerBoundaryIs>
+      </Polygon>
+    </Placemark>
+    <Placemark>
+      <name>Twin Yards</name>
+      <MultiGeometry>
+        <Polygon><outerBoundaryIs>${ring(
+          "0,0 1,0 1,1 0,0"
+        )}</outerBoundaryIs></Polygon>
+        <Polygon><outerBoundaryIs>${ring(
+          "5,5 6,5 6,6 5,5"
+        )}</outerBoundaryIs></Polygon>
+      </MultiGeometry>
+    </Placemark>
+    <Placemark>
+      <name>Haul Road</name>
+      <LineString><coordinates>0,0 1,1 2,1</coordinates></LineString>
+    </Placemark>
+    <Placemark>
+      <name>Gate</name>
+      <Point><coordinates>0,0</coordinates></Point>
+    </Placemark>
+  </Document>
+</kml>`;
+
+test("parseKml reads polygons with holes, MultiGeometry and lines", () => {
+  const { features, skipped } = parseKml(kml);
+
+  expect(skipped).toBe(1);
+  expect(features.map((f) => [f.properties.name, f.geojson.type])).toEqual([
+    ["Courtyard Block", "Polygon"],
+    ["Twin Yards", "MultiPolygon"],
+    ["Haul Road", "LineString"],
+  ]);
+  expect(features[0].geojson.coordinates).toHaveLength(2);
+  expect(features[0].geojson.coordinates[0][1]).toEqual([10, 0]);
+  expect(features[0].properties).toMatchObject({
+    owner: "ACME",
+    color: "#ff0000",
+  });
+});
+
+test("parseKml rejects malformed documents", () => {
+  expect(() => parseKml("<kml><Placemark>")).toThrow("Invalid KML document");
+});
+
+test("readKmz extracts doc.kml from the archive", async () => {
+  const zip = new JSZip();
+  zip.file("files/icon.png", "not really a png");
+  zip.file("doc.kml", kml);
+  const data = await zip.generateAsync({ type: "uint8array" });
+
+  expect(await readKmz(data)).toBe(kml);
+});
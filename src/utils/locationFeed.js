@@ -0,0 +1,202 @@
+import { createSocketClient } from "./socketClient";
+import { dispatchSocketMessage } from "./socketMessages";
+
+// Location feed: delivers asset fixes from a push channel (WebSocket or
+// Server-Sent Events) and falls back to polling /latest-location while the
+// push channel is down.
+
+export const DEFAULT_ASSET_ID = "asset-1";
+export const FEED_MODES = ["websocket", "sse", "polling"];
+
+export const FEED_TRANSPORT_LABELS = {
+  websocket: "WebSocket",
+  sse: "SSE",
+  polling: "Polling",
+};
+
+const FEED_STATE_COLORS = {
+  connecting: "default",
+  connected: "success",
+  fallback: "warning",
+  disconnected: "error",
+};
+
+export const feedStatusColor = (status) =>
+  FEED_STATE_COLORS[status.state] || "default";
+
+export const feedStatusLabel = ({ transport, state }) =>
+  `Feed: ${FEED_TRANSPORT_LABELS[transport] || transport} (${state})`;
+
+// REACT_APP_LOCATION_FEED picks the transport; without it, use the WebSocket
+// when REACT_APP_WS_URL is configured
+export const resolveFeedMode = (env = process.env) => {
+  const configured = (env.REACT_APP_LOCATION_FEED || "").toLowerCase();
+  if (FEED_MODES.includes(configured)) return configured;
+  return env.REACT_APP_WS_URL ? "websocket" : "polling";
+};
+
+const isNumeric = (value) =>
+  value !== null && value !== "" && Number.isFinite(Number(value));
+
+// Accepts one fix or an array of fixes, with or without assetId. Reported
+// accuracy (meters), speed (m/s) and timestamp are kept for the position
+// filter, which also decides what to do with 0,0 cold-start fixes.
+export const toAssetLocations = (data) => {
+  const list = Array.isArray(data) ? data : [data];
+  return list
+    .filter((loc) => loc && isNumeric(loc.lat) && isNumeric(loc.lng))
+    .map((loc) => ({
+      assetId: String(loc.assetId ?? DEFAULT_ASSET_ID),
+      lat: Number(loc.lat),
+      lng: Number(loc.lng),
+      ...(isNumeric(loc.accuracy) ? { accuracy: Number(loc.accuracy) } : {}),
+      ...(isNumeric(loc.speed) ? { speed: Number(loc.speed) } : {}),
+      ...(loc.timestamp ? { timestamp: loc.timestamp } : {}),
+    }));
+};
+
+// onStatus receives { mode, transport, state } where state is one of
+// "connecting", "connected", "fallback" or "disconnected". handlers receive
+// the other validated socket messages (zone-update, zone-delete, log-event).
+export const createLocationFeed = ({
+  mode = "polling",
+  wsUrl,
+  sseUrl,
+  pollUrl,
+  pollInterval = 2000,
+  reconnectDelay = 5000,
+  socketOptions = {},
+  onLocations,
+  handlers = {},
+  onStatus = () => {},
+}) => {
+  let stopped = false;
+  let transport = mode;
+  let client = null;
+  let source = null;
+  let pollTimer = null;
+  let reconnectTimer = null;
+
+  const setStatus = (state) => onStatus({ mode, transport, state });
+
+  const messageHandlers = {
+    ...handlers,
+    assetLocationUpdate: (message) => {
+      const locations = toAssetLocations(message.data);
+      if (locations.length > 0) onLocations(locations);
+    },
+  };
+
+  const poll = async () => {
+    try {
+      const res = await fetch(pollUrl);
+      if (!res.ok) throw new Error("Failed to fetch location");
+
+      const locations = toAssetLocations(await res.json());
+      if (stopped || transport !== "polling") return;
+      if (locations.length > 0) onLocations(locations);
+      setStatus(mode === "polling" ? "connected" : "fallback");
+    } catch (err) {
+      console.error("❌ Error fetching latest location:", err);
+      if (!stopped && transport === "polling") setStatus("disconnected");
+    }
+  };
+
+  const startPolling = () => {
+    transport = "polling";
+    if (pollTimer) return;
+    setStatus(mode === "polling" ? "connecting" : "fallback");
+    poll();
+    pollTimer = setInterval(poll, pollInterval); // every 2 seconds (match your MQTT publish rate)
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const handlePushOpen = () => {
+    stopPolling();
+    transport = mode;
+    setStatus("connected");
+  };
+
+  const handlePushDown = () => {
+    if (!stopped) startPolling();
+  };
+
+  // The socket client owns reconnects and backoff; polling covers the gaps
+  const connectWebSocket = () => {
+    client = createSocketClient({
+      ...socketOptions,
+      url: wsUrl,
+      handlers: messageHandlers,
+      onStatus: ({ state }) => {
+        if (state === "connected") handlePushOpen();
+        if (state === "reconnecting") handlePushDown();
+      },
+    });
+  };
+
+  // EventSource retries on its own; we close it instead so polling covers the gap
+  const connectEventSource = () => {
+    try {
+      source = new EventSource(sseUrl);
+    } catch (err) {
+      console.error("❌ Failed to open location event stream:", err);
+      source = null;
+      reconnectEventSource();
+      return;
+    }
+    source.onopen = handlePushOpen;
+    source.onmessage = (event) =>
+      dispatchSocketMessage(event.data, messageHandlers);
+    // Named events carry the bare fix, so the type comes from the event name
+    source.addEventListener("assetLocationUpdate", (event) => {
+      try {
+        dispatchSocketMessage(
+          { type: "assetLocationUpdate", data: JSON.parse(event.data) },
+          messageHandlers
+        );
+      } catch (err) {
+        console.error("❌ Failed to parse location event:", err);
+      }
+    });
+    source.onerror = () => {
+      source.close();
+      source = null;
+      reconnectEventSource();
+    };
+  };
+
+  const reconnectEventSource = () => {
+    handlePushDown();
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      if (!stopped) connectEventSource();
+    }, reconnectDelay);
+  };
+
+  if (mode === "polling") {
+    startPolling();
+  } else {
+    setStatus("connecting");
+    if (mode === "sse") {
+      connectEventSource();
+    } else {
+      connectWebSocket();
+    }
+  }
+
+  return {
+    // Outgoing messages need the WebSocket; they queue while it reconnects
+    send: (message) => (client ? client.send(message) : false),
+    stop: () => {
+      stopped = true;
+      stopPolling();
+      clearTimeout(reconnectTimer);
+      client?.close();
+      source?.close();
+    },
+  };
+};
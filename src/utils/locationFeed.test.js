@@ -0,0 +1,161 @@
+import {
+  createLocationFeed,
+  resolveFeedMode,
+  toAssetLocations,
+} from "./locationFeed";
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.();
+  }
+}
+
+const flush = () =>
+  new Promise((resolve) => jest.requireActual("timers").setImmediate(resolve));
+
+test("resolveFeedMode uses the configured mode when it is known", () => {
+  expect(resolveFeedMode({ REACT_APP_LOCATION_FEED: "SSE" })).toBe("sse");
+});
+
+test("resolveFeedMode defaults to websocket only when a socket URL is configured", () => {
+  expect(resolveFeedMode({ REACT_APP_WS_URL: "wss://feed" })).toBe("websocket");
+  expect(resolveFeedMode({ REACT_APP_LOCATION_FEED: "mqtt" })).toBe("polling");
+});
+
+test("toAssetLocations normalizes single fixes and drops empty ones", () => {
+  expect(toAssetLocations({ lat: 1, lng: 2 })).toEqual([
+    { assetId: "asset-1", lat: 1, lng: 2 },
+  ]);
+  expect(toAssetLocations([{ assetId: 7, lat: 1, lng: 2 }, null])).toEqual([
+    { assetId: "7", lat: 1, lng: 2 },
+  ]);
+  expect(toAssetLocations({})).toEqual([]);
+});
+
+test("toAssetLocations keeps zero coordinates, accuracy and timestamps", () => {
+  expect(
+    toAssetLocations({
+      lat: "0",
+      lng: 0,
+      accuracy: 12,
+      timestamp: "2024-05-01T10:00:00Z",
+    })
+  ).toEqual([
+    {
+      assetId: "asset-1",
+      lat: 0,
+      lng: 0,
+      accuracy: 12,
+      timestamp: "2024-05-01T10:00:00Z",
+    },
+  ]);
+});
+
+const originalWebSocket = global.WebSocket;
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeSocket.instances = [];
+  global.WebSocket = FakeSocket;
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ assetId: "a", lat: 1, lng: 2 }),
+    })
+  );
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  global.WebSocket = originalWebSocket;
+  global.fetch = originalFetch;
+});
+
+test("the feed delivers pushed locations and flushes queued sends on open", () => {
+  const onLocations = jest.fn();
+  const onZoneUpdate = jest.fn();
+  const feed = createLocationFeed({
+    mode: "websocket",
+    wsUrl: "wss://feed",
+    onLocations,
+    handlers: { "zone-update": onZoneUpdate },
+  });
+  const socket = FakeSocket.instances[0];
+
+  expect(feed.send({ type: "zone-delete", timestamp: "t1" })).toBe(false);
+  socket.open();
+  socket.onmessage({
+    data: JSON.stringify({
+      type: "assetLocationUpdate",
+      data: { assetId: "a", lat: 1, lng: 2 },
+    }),
+  });
+  socket.onmessage({ data: JSON.stringify({ type: "zone-update" }) });
+
+  expect(onLocations).toHaveBeenCalledWith([{ assetId: "a", lat: 1, lng: 2 }]);
+  expect(onZoneUpdate).toHaveBeenCalledWith({ type: "zone-update" });
+  expect(socket.sent).toEqual([{ type: "zone-delete", timestamp: "t1" }]);
+  expect(feed.send({ type: "zone-delete", timestamp: "t2" })).toBe(true);
+  expect(socket.sent).toHaveLength(2);
+  feed.stop();
+});
+
+test("the feed falls back to polling while the socket is down", async () => {
+  const onLocations = jest.fn();
+  const onStatus = jest.fn();
+  const feed = createLocationFeed({
+    mode: "websocket",
+    wsUrl: "wss://feed",
+    pollUrl: "/latest-location",
+    socketOptions: { baseDelay: 1000, maxDelay: 1000 },
+    onLocations,
+    onStatus,
+  });
+
+  FakeSocket.instances[0].open();
+  FakeSocket.instances[0].close();
+  await flush();
+
+  expect(global.fetch).toHaveBeenCalledWith("/latest-location");
+  expect(onLocations).toHaveBeenCalledWith([{ assetId: "a", lat: 1, lng: 2 }]);
+  expect(onStatus).toHaveBeenLastCalledWith({
+    mode: "websocket",
+    transport: "polling",
+    state: "fallback",
+  });
+
+  jest.advanceTimersByTime(1000);
+  expect(FakeSocket.instances).toHaveLength(2);
+  FakeSocket.instances[1].open();
+  const polls = global.fetch.mock.calls.length;
+  jest.advanceTimersByTime(10000);
+
+  expect(global.fetch).toHaveBeenCalledTimes(polls);
+  expect(onStatus).toHaveBeenLastCalledWith({
+    mode: "websocket",
+    transport: "websocket",
+    state: "connected",
+  });
+  feed.stop();
+});
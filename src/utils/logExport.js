@@ -0,0 +1,65 @@
+import { toCsv } from "./download";
+import { eventLabel } from "./events";
+import { formatDuration } from "./geofence";
+import { logKey, sortLogs } from "./logs";
+import { dwellByExit } from "./visits";
+import { XLSX_MIME_TYPE, buildXlsx } from "./xlsx";
+
+// Serializers for the log history export. Rows run oldest first and exit
+// events carry the length of the stay they closed, paired against visitLogs
+// (see fetchVisitLogs) so filters that drop the entries keep the dwell.
+
+export const LOG_EXPORT_HEADER = [
+  "timestamp",
+  "type",
+  "event",
+  "zone",
+  "zone_id",
+  "asset",
+  "dwell_seconds",
+  "dwell",
+];
+
+export const logExportRows = (logs, visitLogs = logs) => {
+  const dwell = new Map(
+    [...dwellByExit(visitLogs)].map(([exitLog, ms]) => [logKey(exitLog), ms])
+  );
+  return sortLogs(logs, "timestamp", "asc").map((log) => {
+    const durationMs = dwell.get(logKey(log));
+    const hasDwell = durationMs !== undefined;
+    return [
+      log.timestamp,
+      log.type,
+      eventLabel(log.type),
+      log.zoneName ?? "",
+      log.zoneId ?? "",
+      log.assetId ?? "",
+      hasDwell ? Math.round(durationMs / 1000) : "",
+      hasDwell ? formatDuration(durationMs) : "",
+    ];
+  });
+};
+
+export const logsToCsv = (logs, visitLogs) =>
+  toCsv(LOG_EXPORT_HEADER, logExportRows(logs, visitLogs));
+
+export const logsToXlsx = (logs, visitLogs) =>
+  buildXlsx("Zone events", LOG_EXPORT_HEADER, logExportRows(logs, visitLogs));
+
+// serialize(logs, visitLogs) may return a string or a Promise of a Blob
+export const LOG_EXPORT_FORMATS = [
+  {
+    value: "csv",
+    label: "CSV",
+    extension: "csv",
+    mimeType: "text/csv",
+    serialize: logsToCsv,
+  },
+  {
+    value: "xlsx",
+    label: "Excel (.xlsx)",
+    extension: "xlsx",
+    mimeType: XLSX_MIME_TYPE,
+    serialize: logsToXlsx,
+  },
+];
@@ -0,0 +1,58 @@
+import { LOG_EXPORT_HEADER, logExportRows, logsToCsv } from "./logExport";
+import { columnName, sheetXml } from "./xlsx";
+
+const logs = [
+  {
+    assetId: "a",
+    zoneId: 1,
+    zoneName: "Dock, north",
+    type: "EXIT",
+    timestamp: "2024-01-01T10:02:30Z",
+  },
+  {
+    assetId: "a",
+    zoneId: 1,
+    zoneName: "Dock, north",
+    type: "ENTER",
+    timestamp: "2024-01-01T10:00:00Z",
+  },
+];
+
+test("logExportRows runs oldest first with dwell on the exit", () => {
+  expect(logExportRows(logs)).toEqual([
+    ["2024-01-01T10:00:00Z", "ENTER", "Entered", "Dock, north", 1, "a", "", ""],
+    [
+      "2024-01-01T10:02:30Z",
+      "EXIT",
+      "Exited",
+      "Dock, north",
+      1,
+      "a",
+      150,
+      "2m 30s",
+    ],
+  ]);
+});
+
+test("logExportRows pairs exits against the unfiltered visit logs", () => {
+  const exits = logs.filter((log) => log.type === "EXIT");
+
+  expect(logExportRows(exits)[0][6]).toBe("");
+  // A separately fetched copy of the same events still pairs
+  const visitLogs = logs.map((log) => ({ ...log }));
+  expect(logExportRows(exits, visitLogs)[0].slice(6)).toEqual([150, "2m 30s"]);
+});
+
+test("logsToCsv quotes fields and starts with the header", () => {
+  const lines = logsToCsv(logs).split("\r\n");
+  expect(lines[0]).toBe(LOG_EXPORT_HEADER.join(","));
+  expect(lines[2]).toContain('"Dock, north"');
+});
+
+test("sheetXml writes numbers as numbers and escapes text", () => {
+  const xml = sheetXml(["name", "count"], [["<Dock> & yard", 3]]);
+  expect(xml).toContain('<c r="A1" s="1" t="inlineStr">');
+  expect(xml).toContain("&lt;Dock&gt; &amp; yard");
+  expect(xml).toContain('<c r="B2"><v>3</v></c>');
+  expect(columnName(27)).toBe("AB");
+});
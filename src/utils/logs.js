@@ -0,0 +1,151 @@
+import { apiUrl } from "./api";
+import { EXIT_EVENT_TYPES } from "./events";
+
+// Helpers for the event history, which is fed both by REST (/logs) and by
+// live log-event messages, so the same event can arrive twice.
+
+// Live entries may lack the database id, so identity is the event itself
+export const logKey = (log) => {
+  const time = Date.parse(log.timestamp);
+  return [
+    log.assetId ?? "",
+    log.zoneId ?? "",
+    log.type,
+    Number.isNaN(time) ? log.timestamp : time,
+  ].join("|");
+};
+
+const newestFirst = (a, b) =>
+  new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime();
+
+// Merges incoming entries into the list, newest first; on a duplicate the
+// incoming entry wins so REST data can fill in fields a live entry lacked
+export const mergeLogs = (existing, incoming) => {
+  const byKey = new Map(existing.map((log) => [logKey(log), log]));
+  incoming.forEach((log) => {
+    const key = logKey(log);
+    byKey.set(key, { ...byKey.get(key), ...log });
+  });
+  return [...byKey.values()].sort(newestFirst);
+};
+
+// Keys of incoming entries not already in the list
+export const unseenLogKeys = (existing, incoming) => {
+  const seen = new Set(existing.map(logKey));
+  return incoming.map(logKey).filter((key) => !seen.has(key));
+};
+
+export const LOG_PAGE_SIZES = [25, 50, 100];
+export const LOG_SORT_FIELDS = ["timestamp", "type", "zoneName", "assetId"];
+
+// Filters use the same names as the /logs query parameters
+export const EMPTY_LOG_FILTERS = {
+  from: "",
+  to: "",
+  zoneId: "",
+  type: "",
+  assetId: "",
+};
+
+// Offset paging: /logs?offset&limit&sort&order plus any non-empty filter
+export const buildLogsQuery = ({
+  page = 0,
+  pageSize = LOG_PAGE_SIZES[0],
+  sortField = "timestamp",
+  sortOrder = "desc",
+  filters = EMPTY_LOG_FILTERS,
+}) => {
+  const params = new URLSearchParams({
+    offset: String(page * pageSize),
+    limit: String(pageSize),
+    sort: sortField,
+    order: sortOrder,
+  });
+  Object.entries(filters).forEach(([name, value]) => {
+    if (!value) return;
+    const isTime = name === "from" || name === "to";
+    params.set(name, isTime ? new Date(value).toISOString() : String(value));
+  });
+  return params.toString();
+};
+
+export const logMatchesFilters = (log, filters = EMPTY_LOG_FILTERS) => {
+  const time = new Date(log.timestamp).getTime();
+  if (filters.from && time < new Date(filters.from).getTime()) return false;
+  if (filters.to && time > new Date(filters.to).getTime()) return false;
+  if (filters.zoneId && String(log.zoneId) !== String(filters.zoneId)) {
+    return false;
+  }
+  if (filters.type && log.type !== filters.type) return false;
+  if (filters.assetId && String(log.assetId ?? "") !== filters.assetId) {
+    return false;
+  }
+  return true;
+};
+
+export const sortLogs = (logs, field = "timestamp", order = "desc") => {
+  const value = (log) =>
+    field === "timestamp"
+      ? new Date(log.timestamp).getTime()
+      : String(log[field] ?? "");
+  const direction = order === "asc" ? 1 : -1;
+  return [...logs].sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left === right) return 0;
+    return left < right ? -direction : direction;
+  });
+};
+
+// Accepts { items, total } (or { logs, total }) from a paging backend, or a
+// plain array from an older one, which is then filtered and paged here
+export const toLogsPage = (body, query) => {
+  if (!Array.isArray(body)) {
+    const rows = body?.items || body?.logs || [];
+    return { rows, total: body?.total ?? rows.length };
+  }
+
+  const { page = 0, pageSize = LOG_PAGE_SIZES[0] } = query;
+  const matching = sortLogs(
+    body.filter((log) => logMatchesFilters(log, query.filters)),
+    query.sortField,
+    query.sortOrder
+  );
+  return {
+    rows: matching.slice(page * pageSize, (page + 1) * pageSize),
+    total: matching.length,
+  };
+};
+
+export const fetchLogsPage = async (query) => {
+  const res = await fetch(apiUrl(`/logs?${buildLogsQuery(query)}`));
+  if (!res.ok) throw new Error(`Failed to fetch: ${res.statusText}`);
+  return toLogsPage(await res.json(), query);
+};
+
+const EXPORT_PAGE_SIZE = 500;
+
+// Every log matching the filters, oldest first, fetched page by page
+export const fetchAllLogPages = async (filters) => {
+  const logs = [];
+  for (let page = 0; ; page += 1) {
+    const { rows, total } = await fetchLogsPage({
+      page,
+      pageSize: EXPORT_PAGE_SIZE,
+      sortField: "timestamp",
+      sortOrder: "asc",
+      filters,
+    });
+    logs.push(...rows);
+    if (rows.length < EXPORT_PAGE_SIZE || logs.length >= total) return logs;
+  }
+};
+
+// Logs for pairing exported exits with their entries. A type filter or a
+// range that starts mid-visit drops the entries, so those exports pair
+// against every event of the same zone and asset up to the end of the range.
+export const fetchVisitLogs = async (filters, logs) => {
+  if (filters.type && !EXIT_EVENT_TYPES.includes(filters.type)) return logs;
+  if (!filters.type && !filters.from) return logs;
+  return fetchAllLogPages({ ...filters, type: "", from: "" });
+};
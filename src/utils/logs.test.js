@@ -0,0 +1,121 @@
+import {
+  EMPTY_LOG_FILTERS,
+  buildLogsQuery,
+  fetchVisitLogs,
+  logKey,
+  logMatchesFilters,
+  mergeLogs,
+  toLogsPage,
+  unseenLogKeys,
+} from "./logs";
+
+const restLog = {
+  id: 17,
+  assetId: "a",
+  zoneId: "z1",
+  zoneName: "Dock",
+  type: "ENTER",
+  timestamp: "2024-01-01T10:00:00.000Z",
+};
+
+test("logKey ignores the id and timestamp formatting", () => {
+  const live = { ...restLog, id: undefined, timestamp: "2024-01-01T10:00:00Z" };
+  expect(logKey(live)).toBe(logKey(restLog));
+});
+
+test("mergeLogs de-duplicates live and REST entries and sorts newest first", () => {
+  const live = [
+    {
+      assetId: "a",
+      zoneId: "z1",
+      type: "EXIT",
+      timestamp: "2024-01-01T11:00:00Z",
+    },
+    {
+      assetId: "a",
+      zoneId: "z1",
+      type: "ENTER",
+      timestamp: "2024-01-01T10:00:00Z",
+    },
+  ];
+  const merged = mergeLogs(live, [restLog]);
+
+  expect(merged).toHaveLength(2);
+  expect(merged.map((log) => log.type)).toEqual(["EXIT", "ENTER"]);
+  expect(merged[1].id).toBe(17);
+});
+
+test("unseenLogKeys only reports entries missing from the list", () => {
+  const fresh = { ...restLog, type: "EXIT" };
+  expect(unseenLogKeys([restLog], [restLog, fresh])).toEqual([logKey(fresh)]);
+});
+
+test("buildLogsQuery pages by offset and skips empty filters", () => {
+  const query = new URLSearchParams(
+    buildLogsQuery({
+      page: 2,
+      pageSize: 50,
+      sortField: "zoneName",
+      sortOrder: "asc",
+      filters: { ...EMPTY_LOG_FILTERS, type: "EXIT", assetId: "a" },
+    })
+  );
+
+  expect(Object.fromEntries(query)).toEqual({
+    offset: "100",
+    limit: "50",
+    sort: "zoneName",
+    order: "asc",
+    type: "EXIT",
+    assetId: "a",
+  });
+});
+
+test("toLogsPage passes server pages through", () => {
+  expect(toLogsPage({ items: [restLog], total: 40 }, {})).toEqual({
+    rows: [restLog],
+    total: 40,
+  });
+});
+
+test("toLogsPage filters, sorts and pages a plain array itself", () => {
+  const logs = ["a", "b", "c"].map((assetId, i) => ({
+    ...restLog,
+    assetId,
+    timestamp: `2024-01-0${i + 1}T00:00:00Z`,
+  }));
+  const query = {
+    page: 0,
+    pageSize: 1,
+    sortField: "timestamp",
+    sortOrder: "desc",
+    filters: { ...EMPTY_LOG_FILTERS, to: "2024-01-02T12:00:00Z" },
+  };
+
+  expect(toLogsPage(logs, query)).toEqual({ rows: [logs[1]], total: 2 });
+  expect(logMatchesFilters(logs[0], { zoneId: "z2" })).toBe(false);
+});
+
+test("fetchVisitLogs refetches only when the filters drop entries", async () => {
+  const logs = [restLog];
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => [restLog],
+  });
+
+  await expect(fetchVisitLogs(EMPTY_LOG_FILTERS, logs)).resolves.toBe(logs);
+  await expect(
+    fetchVisitLogs({ ...EMPTY_LOG_FILTERS, type: "ENTER" }, logs)
+  ).resolves.toBe(logs);
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  await fetchVisitLogs(
+    { ...EMPTY_LOG_FILTERS, type: "EXIT", from: "2024-01-01", zoneId: "7" },
+    logs
+  );
+  const url = global.fetch.mock.calls[0][0];
+  expect(url).toContain("zoneId=7");
+  expect(url).not.toContain("type=");
+  expect(url).not.toContain("from=");
+  delete global.fetch;
+});
@@ -0,0 +1,51 @@
+// Track playback helpers. A track is [{ lat, lng, time }] sorted by time (ms).
+
+export const PLAYBACK_SPEEDS = [1, 5, 10, 30, 60];
+
+export const toTrack = (fixes) =>
+  fixes
+    .map((fix) => ({
+      lat: Number(fix.lat),
+      lng: Number(fix.lng),
+      time: new Date(fix.timestamp).getTime(),
+    }))
+    .filter(
+      ({ lat, lng, time }) =>
+        Number.isFinite(lat) && Number.isFinite(lng) && Number.isFinite(time)
+    )
+    .sort((a, b) => a.time - b.time);
+
+// Interpolated position at the given time, clamped to the track ends
+export const positionAt = (track, time) => {
+  if (track.length === 0) return null;
+  if (time <= track[0].time) return track[0];
+  if (time >= track[track.length - 1].time) return track[track.length - 1];
+
+  let low = 0;
+  let high = track.length - 1;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (track[mid].time <= time) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const a = track[low];
+  const b = track[high];
+  const f = (time - a.time) / (b.time - a.time);
+  return {
+    lat: a.lat + (b.lat - a.lat) * f,
+    lng: a.lng + (b.lng - a.lng) * f,
+    time,
+  };
+};
+
+// Logged zone events for an asset within [from, to], oldest first
+export const eventsInRange = (logs, assetId, from, to) =>
+  logs
+    .filter((log) => !log.assetId || String(log.assetId) === assetId)
+    .map((log) => ({ ...log, time: new Date(log.timestamp).getTime() }))
+    .filter(({ time }) => time >= from && time <= to)
+    .sort((a, b) => a.time - b.time);
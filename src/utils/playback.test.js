@@ -0,0 +1,32 @@
+import { eventsInRange, positionAt, toTrack } from "./playback";
+
+const track = toTrack([
+  { lat: 2, lng: 2, timestamp: "2024-01-01T00:00:10Z" },
+  { lat: 0, lng: 0, timestamp: "2024-01-01T00:00:00Z" },
+  { lat: "bad", lng: 1, timestamp: "2024-01-01T00:00:05Z" },
+]);
+const t0 = Date.parse("2024-01-01T00:00:00Z");
+
+test("toTrack drops invalid fixes and sorts by time", () => {
+  expect(track.map((p) => p.lat)).toEqual([0, 2]);
+});
+
+test("positionAt interpolates between fixes and clamps at the ends", () => {
+  expect(positionAt(track, t0 + 5000)).toMatchObject({ lat: 1, lng: 1 });
+  expect(positionAt(track, t0 - 1000)).toBe(track[0]);
+  expect(positionAt(track, t0 + 60000)).toBe(track[1]);
+  expect(positionAt([], t0)).toBeNull();
+});
+
+test("eventsInRange keeps the asset's events inside the window", () => {
+  const logs = [
+    { assetId: "a", type: "EXIT", timestamp: "2024-01-01T00:00:08Z" },
+    { assetId: "b", type: "ENTER", timestamp: "2024-01-01T00:00:03Z" },
+    { assetId: "a", type: "ENTER", timestamp: "2024-01-01T00:00:02Z" },
+    { assetId: "a", type: "ENTER", timestamp: "2024-01-01T00:01:00Z" },
+  ];
+
+  expect(
+    eventsInRange(logs, "a", t0, t0 + 10000).map((log) => log.type)
+  ).toEqual(["ENTER", "EXIT"]);
+});
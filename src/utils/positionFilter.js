@@ -0,0 +1,136 @@
+// Position filter run on each asset fix before it reaches the map and the
+// geofencing: drops cold-start and low-accuracy fixes, rejects teleports and
+// can smooth the track with a simple Kalman filter.
+import * as turf from "@turf/turf";
+import { numberSetting } from "./envSettings";
+
+export const POSITION_FILTER_DEFAULTS = {
+  maxAccuracyMeters: 50, // reported accuracy worse than this is dropped; 0 = off
+  maxSpeedKmh: 200, // implied speed from the last good fix; 0 = off
+  smoothing: false,
+  smoothingNoise: 3, // m/s the smoothed track may drift per second
+};
+
+const MAX_JUMP_REJECTIONS = 3; // then the asset really moved: re-anchor
+const UNKNOWN_ACCURACY = 10; // meters assumed when the tracker sends none
+
+// REACT_APP_GPS_* overrides, falling back to POSITION_FILTER_DEFAULTS
+export const resolvePositionFilter = (env = process.env) => ({
+  maxAccuracyMeters: numberSetting(
+    env.REACT_APP_GPS_MAX_ACCURACY_METERS,
+    POSITION_FILTER_DEFAULTS.maxAccuracyMeters
+  ),
+  maxSpeedKmh: numberSetting(
+    env.REACT_APP_GPS_MAX_SPEED_KMH,
+    POSITION_FILTER_DEFAULTS.maxSpeedKmh
+  ),
+  smoothing: ["kalman", "true", "1"].includes(
+    (env.REACT_APP_GPS_SMOOTHING || "").toLowerCase()
+  ),
+  smoothingNoise: numberSetting(
+    env.REACT_APP_GPS_SMOOTHING_NOISE,
+    POSITION_FILTER_DEFAULTS.smoothingNoise
+  ),
+});
+
+// Device time when the fix carries a usable timestamp, else arrival time
+const fixTime = (fix, now) => {
+  const time = fix.timestamp ? new Date(fix.timestamp).getTime() : NaN;
+  return Number.isNaN(time) ? now : time;
+};
+
+export const impliedSpeedKmh = (from, to) => {
+  const meters = turf.distance([from.lng, from.lat], [to.lng, to.lat], {
+    units: "meters",
+  });
+  const seconds = Math.max((to.time - from.time) / 1000, 1);
+  return (meters / seconds) * 3.6;
+};
+
+// Reported speed (m/s, as GPS units send it) when present, else implied by
+// the previous accepted fix; null for the first fix or a repeated one
+export const fixSpeedKmh = (fix, last) => {
+  if (Number.isFinite(fix.speed)) return fix.speed * 3.6;
+  if (!last || fix.time <= last.time) return null;
+  return impliedSpeedKmh(last, fix);
+};
+
+// { code, detail } for a fix that should not be used, null for a good one.
+// last is the previous accepted fix of the same asset.
+export const rejectionReason = (fix, last, settings) => {
+  if (fix.lat === 0 && fix.lng === 0) {
+    return { code: "null-island", detail: "0,0 cold-start fix" };
+  }
+  if (Math.abs(fix.lat) > 90 || Math.abs(fix.lng) > 180) {
+    return { code: "out-of-range", detail: "coordinates out of range" };
+  }
+  if (settings.maxAccuracyMeters && fix.accuracy > settings.maxAccuracyMeters) {
+    return {
+      code: "accuracy",
+      detail: `accuracy ${Math.round(fix.accuracy)} m`,
+    };
+  }
+  if (!last) return null;
+
+  if (fix.time < last.time) {
+    return { code: "out-of-order", detail: "older than the last fix" };
+  }
+  const speed = impliedSpeedKmh(last, fix);
+  if (settings.maxSpeedKmh && speed > settings.maxSpeedKmh) {
+    return { code: "jump", detail: `jump at ${Math.round(speed)} km/h` };
+  }
+  return null;
+};
+
+// One step of a constant-position Kalman filter on lat/lng, using the
+// reported accuracy as measurement noise
+export const kalmanStep = (state, fix, noise) => {
+  const accuracy = Math.max(fix.accuracy || UNKNOWN_ACCURACY, 1);
+  if (!state) {
+    return {
+      lat: fix.lat,
+      lng: fix.lng,
+      variance: accuracy * accuracy,
+      time: fix.time,
+    };
+  }
+
+  const seconds = Math.max((fix.time - state.time) / 1000, 0);
+  const variance = state.variance + seconds * noise * noise;
+  const gain = variance / (variance + accuracy * accuracy);
+  return {
+    lat: state.lat + gain * (fix.lat - state.lat),
+    lng: state.lng + gain * (fix.lng - state.lng),
+    variance: (1 - gain) * variance,
+    time: fix.time,
+  };
+};
+
+// Runs one fix through the per-asset filter state ({ last, kalman, jumps }).
+// Returns the next state plus either the position to use (with speedKmh and
+// the fix time) or the rejected fix with its reason.
+export const filterFix = (state, fix, now, settings) => {
+  const timed = { ...fix, time: fixTime(fix, now) };
+  const reason = rejectionReason(timed, state.last, settings);
+  const jumps = reason && reason.code === "jump" ? (state.jumps || 0) + 1 : 0;
+
+  if (reason && jumps < MAX_JUMP_REJECTIONS) {
+    return {
+      state: { ...state, jumps },
+      position: null,
+      rejected: { ...timed, reason },
+    };
+  }
+
+  const kalman = settings.smoothing
+    ? kalmanStep(reason ? null : state.kalman, timed, settings.smoothingNoise)
+    : null;
+  const speedKmh = reason ? null : fixSpeedKmh(timed, state.last);
+  return {
+    state: { last: timed, kalman, jumps: 0 },
+    position: kalman
+      ? { lat: kalman.lat, lng: kalman.lng, speedKmh, time: timed.time }
+      : { lat: timed.lat, lng: timed.lng, speedKmh, time: timed.time },
+    rejected: null,
+  };
+};
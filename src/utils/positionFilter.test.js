@@ -0,0 +1,107 @@
+import {
+  filterFix,
+  fixSpeedKmh,
+  kalmanStep,
+  POSITION_FILTER_DEFAULTS,
+  rejectionReason,
+  resolvePositionFilter,
+} from "./positionFilter";
+
+const settings = {
+  maxAccuracyMeters: 50,
+  maxSpeedKmh: 200,
+  smoothing: false,
+  smoothingNoise: 3,
+};
+
+test("resolvePositionFilter reads overrides", () => {
+  expect(resolvePositionFilter({})).toEqual(POSITION_FILTER_DEFAULTS);
+  expect(
+    resolvePositionFilter({
+      REACT_APP_GPS_MAX_ACCURACY_METERS: "0",
+      REACT_APP_GPS_MAX_SPEED_KMH: "120",
+      REACT_APP_GPS_SMOOTHING: "Kalman",
+    })
+  ).toEqual({
+    ...POSITION_FILTER_DEFAULTS,
+    maxAccuracyMeters: 0,
+    maxSpeedKmh: 120,
+    smoothing: true,
+  });
+});
+
+test("rejectionReason catches cold-start, inaccurate and teleporting fixes", () => {
+  const last = { lat: 1, lng: 1, time: 0 };
+
+  expect(
+    rejectionReason({ lat: 0, lng: 0, time: 0 }, null, settings).code
+  ).toBe("null-island");
+  expect(
+    rejectionReason({ lat: 1, lng: 1, accuracy: 80, time: 0 }, null, settings)
+      .detail
+  ).toBe("accuracy 80 m");
+  // ~1.1 km in 2 s is ~2000 km/h
+  expect(
+    rejectionReason({ lat: 1.01, lng: 1, time: 2000 }, last, settings).code
+  ).toBe("jump");
+  // ~1.1 km in 60 s is ~67 km/h
+  expect(
+    rejectionReason({ lat: 1.01, lng: 1, time: 60000 }, last, settings)
+  ).toBeNull();
+  expect(
+    rejectionReason({ lat: 1, lng: 1, time: -1000 }, last, settings).code
+  ).toBe("out-of-order");
+});
+
+test("filterFix re-anchors after repeated jumps", () => {
+  let state = {};
+  ({ state } = filterFix(state, { lat: 1, lng: 1 }, 0, settings));
+
+  const far = { lat: 2, lng: 2 };
+  const first = filterFix(state, far, 2000, settings);
+  expect(first.position).toBeNull();
+  expect(first.rejected.reason.code).toBe("jump");
+
+  const second = filterFix(first.state, far, 4000, settings);
+  expect(second.position).toBeNull();
+
+  const third = filterFix(second.state, far, 6000, settings);
+  expect(third.position).toEqual({
+    lat: 2,
+    lng: 2,
+    speedKmh: null,
+    time: 6000,
+  });
+  expect(third.state.jumps).toBe(0);
+});
+
+test("kalmanStep weighs fixes by their reported accuracy", () => {
+  const start = kalmanStep(null, { lat: 0, lng: 0, accuracy: 5, time: 0 }, 3);
+  const noisy = kalmanStep(
+    start,
+    { lat: 0.001, lng: 0, accuracy: 50, time: 1000 },
+    3
+  );
+  const precise = kalmanStep(
+    start,
+    { lat: 0.001, lng: 0, accuracy: 2, time: 1000 },
+    3
+  );
+
+  expect(noisy.lat).toBeLessThan(0.0001);
+  expect(precise.lat).toBeGreaterThan(0.0008);
+  expect(noisy.variance).toBeLessThan(25 + 9);
+});
+
+test("fixSpeedKmh prefers the reported speed", () => {
+  const last = { lat: 0, lng: 0, time: 0 };
+
+  expect(fixSpeedKmh({ lat: 0, lng: 0, speed: 10, time: 1000 }, last)).toBe(36);
+  // ~111 m in 10 s
+  expect(fixSpeedKmh({ lat: 0.001, lng: 0, time: 10000 }, last)).toBeCloseTo(
+    40,
+    0
+  );
+  expect(fixSpeedKmh({ lat: 0.001, lng: 0, time: 0 }, last)).toBeNull();
+  expect(fixSpeedKmh({ lat: 0, lng: 0, time: 0 }, null)).toBeNull();
+});
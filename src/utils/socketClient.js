@@ -0,0 +1,152 @@
+import { dispatchSocketMessage } from "./socketMessages";
+
+// Reusable WebSocket client: reconnects with exponential backoff and jitter,
+// detects half-open connections with a ping/pong heartbeat, and queues
+// outgoing messages until the socket is open again.
+
+const DEFAULT_OPTIONS = {
+  baseDelay: 1000,
+  maxDelay: 30000,
+  heartbeatInterval: 25000,
+  heartbeatTimeout: 10000,
+  maxQueue: 100,
+};
+
+// Delay before reconnect attempt n (0-based): half fixed, half random so
+// clients that dropped together do not reconnect together
+export const backoffDelay = (
+  attempt,
+  { baseDelay, maxDelay } = DEFAULT_OPTIONS,
+  random = Math.random
+) => {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+// onStatus receives { state, attempt, delay } where state is one of
+// "connecting", "connected", "reconnecting" or "closed"
+export const createSocketClient = ({
+  url,
+  handlers = {},
+  onStatus = () => {},
+  ...overrides
+}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const queue = [];
+  let socket = null;
+  let attempt = 0;
+  let closed = false;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let pongTimer = null;
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    clearTimeout(pongTimer);
+    heartbeatTimer = null;
+    pongTimer = null;
+  };
+
+  // A ping left unanswered means the connection is half-open: drop it
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(() => {
+      if (pongTimer) return;
+      transmit({ action: "default", type: "ping" });
+      pongTimer = setTimeout(() => {
+        console.warn("🔌 WebSocket heartbeat timed out. Reconnecting...");
+        // A half-open socket may never finish its close handshake
+        socket.onclose = null;
+        socket.close();
+        handleClose();
+      }, options.heartbeatTimeout);
+    }, options.heartbeatInterval);
+  };
+
+  const transmit = (message) => {
+    socket.send(
+      JSON.stringify({ timestamp: new Date().toISOString(), ...message })
+    );
+  };
+
+  const flushQueue = () => {
+    while (queue.length > 0 && socket?.readyState === WebSocket.OPEN) {
+      transmit(queue.shift());
+    }
+  };
+
+  const scheduleReconnect = () => {
+    const delay = backoffDelay(attempt, options);
+    onStatus({ state: "reconnecting", attempt: attempt + 1, delay });
+    attempt += 1;
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const handleClose = () => {
+    stopHeartbeat();
+    socket = null;
+    if (!closed) scheduleReconnect();
+  };
+
+  function connect() {
+    if (closed) return;
+    onStatus({ state: "connecting", attempt, delay: 0 });
+
+    try {
+      socket = new WebSocket(url);
+    } catch (err) {
+      console.error("❌ Failed to open WebSocket:", err);
+      socket = null;
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      attempt = 0;
+      onStatus({ state: "connected", attempt, delay: 0 });
+      startHeartbeat();
+      flushQueue();
+    };
+
+    // Any traffic proves the connection is alive, not only pongs
+    socket.onmessage = (event) => {
+      clearTimeout(pongTimer);
+      pongTimer = null;
+      dispatchSocketMessage(event.data, handlers);
+    };
+
+    socket.onclose = handleClose;
+
+    socket.onerror = (err) => {
+      console.error("❌ WebSocket error", err);
+      socket?.close();
+    };
+  }
+
+  connect();
+
+  return {
+    // Returns true when sent now, false when queued for the next connection
+    send: (message) => {
+      if (socket?.readyState === WebSocket.OPEN) {
+        transmit(message);
+        return true;
+      }
+      if (queue.length >= options.maxQueue) queue.shift();
+      queue.push(message);
+      return false;
+    },
+    isOpen: () => socket?.readyState === WebSocket.OPEN,
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      stopHeartbeat();
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+      onStatus({ state: "closed", attempt, delay: 0 });
+    },
+  };
+};
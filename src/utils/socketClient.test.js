@@ -0,0 +1,135 @@
+import { backoffDelay, createSocketClient } from "./socketClient";
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+}
+
+const originalWebSocket = global.WebSocket;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeSocket.instances = [];
+  global.WebSocket = FakeSocket;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  global.WebSocket = originalWebSocket;
+});
+
+test("backoffDelay doubles per attempt, caps, and jitters within the upper half", () => {
+  const options = { baseDelay: 1000, maxDelay: 8000 };
+  expect(backoffDelay(0, options, () => 0)).toBe(500);
+  expect(backoffDelay(0, options, () => 1)).toBe(1000);
+  expect(backoffDelay(2, options, () => 1)).toBe(4000);
+  expect(backoffDelay(10, options, () => 0.5)).toBe(6000);
+});
+
+test("reconnects with growing delays and resets after a successful open", () => {
+  const onStatus = jest.fn();
+  const client = createSocketClient({
+    url: "wss://feed",
+    baseDelay: 1000,
+    maxDelay: 30000,
+    onStatus,
+  });
+  jest.spyOn(Math, "random").mockReturnValue(1);
+
+  FakeSocket.instances[0].close();
+  expect(onStatus).toHaveBeenLastCalledWith({
+    state: "reconnecting",
+    attempt: 1,
+    delay: 1000,
+  });
+  jest.advanceTimersByTime(1000);
+  FakeSocket.instances[1].close();
+  expect(onStatus).toHaveBeenLastCalledWith({
+    state: "reconnecting",
+    attempt: 2,
+    delay: 2000,
+  });
+  jest.advanceTimersByTime(2000);
+  FakeSocket.instances[2].open();
+  FakeSocket.instances[2].close();
+  expect(onStatus).toHaveBeenLastCalledWith({
+    state: "reconnecting",
+    attempt: 1,
+    delay: 1000,
+  });
+
+  Math.random.mockRestore();
+  client.close();
+});
+
+test("drops a half-open connection when a ping goes unanswered", () => {
+  const client = createSocketClient({
+    url: "wss://feed",
+    heartbeatInterval: 1000,
+    heartbeatTimeout: 500,
+  });
+  const socket = FakeSocket.instances[0];
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  socket.open();
+
+  jest.advanceTimersByTime(1000);
+  expect(socket.sent[0]).toMatchObject({ type: "ping" });
+  socket.receive({ type: "pong" });
+  jest.advanceTimersByTime(1000);
+  expect(FakeSocket.instances).toHaveLength(1);
+
+  jest.advanceTimersByTime(500);
+  expect(socket.readyState).toBe(3);
+  expect(client.isOpen()).toBe(false);
+  console.warn.mockRestore();
+  client.close();
+});
+
+test("queues outgoing messages and dispatches validated ones to handlers", () => {
+  const onZoneDelete = jest.fn();
+  const client = createSocketClient({
+    url: "wss://feed",
+    handlers: { "zone-delete": onZoneDelete },
+  });
+  const socket = FakeSocket.instances[0];
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+
+  expect(client.send({ type: "zone-delete", zoneId: "z1" })).toBe(false);
+  socket.open();
+  expect(socket.sent).toEqual([
+    expect.objectContaining({ type: "zone-delete", zoneId: "z1" }),
+  ]);
+
+  socket.receive({ type: "zone-delete" });
+  socket.receive({ type: "zone-delete", zoneId: 4 });
+  expect(onZoneDelete).toHaveBeenCalledTimes(1);
+  expect(onZoneDelete).toHaveBeenCalledWith({ type: "zone-delete", zoneId: 4 });
+
+  console.warn.mockRestore();
+  client.close();
+});
@@ -0,0 +1,123 @@
+import { z } from "zod";
+
+// Schemas for messages arriving over the location/zone socket. Unknown extra
+// fields are kept so the backend can add data without breaking old clients.
+
+const IdSchema = z.union([z.string(), z.number()]);
+
+export const LocationFixSchema = z
+  .object({
+    assetId: IdSchema.optional(),
+    lat: z.number().min(-90).max(90),
+    lng: z.number().min(-180).max(180),
+    accuracy: z.number().nonnegative().optional(),
+    speed: z.number().nonnegative().optional(),
+    timestamp: z.union([z.string(), z.number()]).optional(), // ISO or epoch ms
+  })
+  .passthrough();
+
+export const SocketZoneSchema = z
+  .object({
+    id: IdSchema,
+    name: z.string().min(1),
+    geojson: z
+      .object({
+        type: z.enum(["Polygon", "LineString", "MultiPolygon"]),
+        coordinates: z.array(z.any()),
+      })
+      .passthrough(),
+  })
+  .passthrough();
+
+const AssetLocationUpdateSchema = z
+  .object({
+    type: z.literal("assetLocationUpdate"),
+    data: z.union([LocationFixSchema, z.array(LocationFixSchema)]),
+  })
+  .passthrough();
+
+const ZoneUpdateSchema = z
+  .object({
+    type: z.literal("zone-update"),
+    zoneId: IdSchema.optional(),
+    zoneName: z.string().optional(),
+    zone: SocketZoneSchema.optional(),
+    user: z.string().optional(),
+    timestamp: z.string().optional(),
+  })
+  .passthrough();
+
+const ZoneDeleteSchema = z
+  .object({
+    type: z.literal("zone-delete"),
+    zoneId: IdSchema,
+    zoneName: z.string().optional(),
+    user: z.string().optional(),
+    timestamp: z.string().optional(),
+  })
+  .passthrough();
+
+// The logged event's own type (ENTER, EXIT, ...) lives inside data
+const LogEventSchema = z
+  .object({
+    type: z.literal("log-event"),
+    data: z
+      .object({
+        id: IdSchema.optional(),
+        assetId: IdSchema.optional(),
+        zoneId: IdSchema.optional(),
+        zoneName: z.string().optional(),
+        type: z.string(),
+        timestamp: z.string(),
+      })
+      .passthrough(),
+  })
+  .passthrough();
+
+const PongSchema = z.object({ type: z.literal("pong") }).passthrough();
+
+export const SocketMessageSchema = z.discriminatedUnion("type", [
+  AssetLocationUpdateSchema,
+  ZoneUpdateSchema,
+  ZoneDeleteSchema,
+  LogEventSchema,
+  PongSchema,
+]);
+
+export const SOCKET_MESSAGE_TYPES = [
+  "assetLocationUpdate",
+  "zone-update",
+  "zone-delete",
+  "log-event",
+];
+
+// Returns { message } for valid input, { error } otherwise
+export const parseSocketMessage = (raw) => {
+  let data;
+  try {
+    data = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (err) {
+    return { error: `Invalid JSON: ${err.message}` };
+  }
+
+  const result = SocketMessageSchema.safeParse(data);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    const path = issue.path.length ? `${issue.path.join(".")}: ` : "";
+    return { error: `${path}${issue.message}` };
+  }
+  return { message: result.data };
+};
+
+// Calls handlers[message.type]; returns false when the message was rejected
+export const dispatchSocketMessage = (raw, handlers) => {
+  const { message, error } = parseSocketMessage(raw);
+  if (error) {
+    console.warn("🟡 Ignoring invalid socket message:", error, raw);
+    return false;
+  }
+
+  const handler = handlers[message.type];
+  if (handler) handler(message);
+  return true;
+};
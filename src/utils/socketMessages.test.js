@@ -0,0 +1,49 @@
+import { parseSocketMessage } from "./socketMessages";
+
+test("accepts location updates with one fix or a batch", () => {
+  const single = parseSocketMessage(
+    '{"type":"assetLocationUpdate","data":{"lat":1,"lng":2}}'
+  );
+  expect(single.message.data).toEqual({ lat: 1, lng: 2 });
+
+  const batch = parseSocketMessage({
+    type: "assetLocationUpdate",
+    data: [{ assetId: 3, lat: 1, lng: 2, speed: 4 }],
+  });
+  expect(batch.message.data[0].speed).toBe(4);
+});
+
+test("accepts ISO and epoch-millisecond fix timestamps", () => {
+  const iso = parseSocketMessage({
+    type: "assetLocationUpdate",
+    data: { lat: 1, lng: 2, timestamp: "2024-05-01T10:00:00Z" },
+  });
+  expect(iso.error).toBeUndefined();
+
+  const epoch = parseSocketMessage({
+    type: "assetLocationUpdate",
+    data: { lat: 1, lng: 2, timestamp: 1714557600000 },
+  });
+  expect(epoch.message.data.timestamp).toBe(1714557600000);
+});
+
+test("rejects malformed JSON, unknown types and out-of-range fixes", () => {
+  expect(parseSocketMessage("{").error).toMatch(/Invalid JSON/);
+  expect(parseSocketMessage({ type: "chat" }).error).toBeDefined();
+  expect(
+    parseSocketMessage({
+      type: "assetLocationUpdate",
+      data: { lat: 91, lng: 0 },
+    }).error
+  ).toMatch(/^data\.lat/);
+});
+
+test("requires the logged event inside log-event messages", () => {
+  expect(
+    parseSocketMessage({
+      type: "log-event",
+      data: { type: "ENTER", zoneId: 1, timestamp: "2024-01-01T00:00:00Z" },
+    }).message
+  ).toBeDefined();
+  expect(parseSocketMessage({ type: "log-event" }).error).toBeDefined();
+});
@@ -0,0 +1,56 @@
+// Speed-limit zones: speedLimitKmh on a zone turns each stretch an asset
+// spends above the limit inside it into one OVERSPEED event, reported when
+// the asset slows down or leaves with its peak speed and duration. Times are
+// the fixes' own, so buffered fixes keep their real spacing.
+
+export const speedLimit = (zone) => {
+  const value = zone.speedLimitKmh;
+  const kmh = Number(value);
+  return value !== null && value !== "" && kmh > 0 ? kmh : null;
+};
+
+// Only set when the zone has a limit, for export and import
+export const speedRuleFields = (zone) =>
+  speedLimit(zone) === null ? {} : { speedLimitKmh: speedLimit(zone) };
+
+// Returns { field: message } for the speed limit input of the zone form
+export const validateSpeedLimit = (values) => {
+  const value = values.speedLimitKmh;
+  return value !== undefined && value !== "" && !(Number(value) > 0)
+    ? { speedLimitKmh: "Enter a positive speed or leave empty" }
+    : {};
+};
+
+// Advances the open overspeed stretches (zoneId -> { zone, startedAt,
+// peakKmh }) with the asset's current zones and speed. A stretch ends when
+// the speed is back within the limit or the asset is no longer in the zone;
+// ended ones come back with durationMs. A null speed leaves stretches open.
+export const trackOverspeed = (open, zones, speedKmh, now) => {
+  const next = {};
+  const ended = [];
+  const insideIds = new Set(zones.map((zone) => String(zone.id)));
+
+  zones.forEach((zone) => {
+    const limit = speedLimit(zone);
+    const stretch = open[zone.id];
+    if (limit === null) return;
+
+    if (speedKmh === null) {
+      if (stretch) next[zone.id] = stretch;
+    } else if (speedKmh > limit) {
+      next[zone.id] = stretch
+        ? { ...stretch, peakKmh: Math.max(stretch.peakKmh, speedKmh) }
+        : { zone, startedAt: now, peakKmh: speedKmh };
+    } else if (stretch) {
+      ended.push({ ...stretch, durationMs: now - stretch.startedAt });
+    }
+  });
+
+  Object.keys(open)
+    .filter((zoneId) => !insideIds.has(zoneId))
+    .forEach((zoneId) => {
+      ended.push({ ...open[zoneId], durationMs: now - open[zoneId].startedAt });
+    });
+
+  return { open: next, ended };
+};
@@ -0,0 +1,48 @@
+import {
+  speedLimit,
+  speedRuleFields,
+  trackOverspeed,
+  validateSpeedLimit,
+} from "./speedLimits";
+
+const yard = { id: "yard", name: "Yard", speedLimitKmh: 20 };
+const road = { id: "road", name: "Road" };
+
+test("speedLimit ignores empty and non-positive values", () => {
+  expect(speedLimit(yard)).toBe(20);
+  expect(speedLimit({ speedLimitKmh: "" })).toBeNull();
+  expect(speedRuleFields({ speedLimitKmh: "30" })).toEqual({
+    speedLimitKmh: 30,
+  });
+  expect(speedRuleFields(road)).toEqual({});
+  expect(validateSpeedLimit({ speedLimitKmh: "0" })).toHaveProperty(
+    "speedLimitKmh"
+  );
+});
+
+test("trackOverspeed keeps the peak and ends when the asset slows down", () => {
+  const first = trackOverspeed({}, [yard, road], 25, 1000);
+  expect(first.open).toEqual({
+    yard: { zone: yard, startedAt: 1000, peakKmh: 25 },
+  });
+
+  const faster = trackOverspeed(first.open, [yard, road], 32, 3000);
+  const unknown = trackOverspeed(faster.open, [yard, road], null, 4000);
+  expect(unknown.open.yard.peakKmh).toBe(32);
+
+  const slowed = trackOverspeed(unknown.open, [yard, road], 15, 9000);
+  expect(slowed.open).toEqual({});
+  expect(slowed.ended).toEqual([
+    { zone: yard, startedAt: 1000, peakKmh: 32, durationMs: 8000 },
+  ]);
+});
+
+test("trackOverspeed ends stretches in zones the asset left", () => {
+  const inside = trackOverspeed({}, [yard], 40, 0);
+  const left = trackOverspeed(inside.open, [], 40, 5000);
+
+  expect(left.open).toEqual({});
+  expect(left.ended).toEqual([
+    { zone: yard, startedAt: 0, peakKmh: 40, durationMs: 5000 },
+  ]);
+});
@@ -0,0 +1,57 @@
+// Lays zone visits out as bars on per-zone or per-asset lanes across a time
+// window (usually one day). Positions are percentages of the window.
+
+export const TIMELINE_LANE_MODES = [
+  { value: "zone", label: "By zone" },
+  { value: "asset", label: "By asset" },
+];
+
+// Visits still open (or opened before the window) are cut at the window edges,
+// and one still running ends at `now`
+export const clipVisit = (visit, windowStart, windowEnd, now = Date.now()) => {
+  const start = Math.max(visit.enteredAt ?? windowStart, windowStart);
+  const end = Math.min(visit.exitedAt ?? Math.min(now, windowEnd), windowEnd);
+  return end > start ? { ...visit, start, end } : null;
+};
+
+const laneOf = (visit, laneBy) =>
+  laneBy === "asset"
+    ? {
+        key: String(visit.assetId ?? ""),
+        label: visit.assetId ? `Asset ${visit.assetId}` : "Unknown asset",
+      }
+    : {
+        key: String(visit.zoneId),
+        label: visit.zoneName || `Zone ${visit.zoneId}`,
+      };
+
+export const timelineLanes = (
+  visits,
+  laneBy,
+  windowStart,
+  windowEnd,
+  now = Date.now()
+) => {
+  const span = windowEnd - windowStart;
+  const lanes = new Map();
+
+  visits.forEach((visit) => {
+    const bar = clipVisit(visit, windowStart, windowEnd, now);
+    if (!bar) return;
+
+    const lane = laneOf(visit, laneBy);
+    if (!lanes.has(lane.key)) lanes.set(lane.key, { ...lane, bars: [] });
+    lanes.get(lane.key).bars.push({
+      ...bar,
+      left: ((bar.start - windowStart) / span) * 100,
+      width: ((bar.end - bar.start) / span) * 100,
+    });
+  });
+
+  return [...lanes.values()]
+    .map((lane) => ({
+      ...lane,
+      bars: lane.bars.sort((a, b) => a.start - b.start),
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+};
@@ -0,0 +1,48 @@
+import { clipVisit, timelineLanes } from "./timeline";
+
+const HOUR = 3600000;
+const dayStart = Date.parse("2024-01-01T00:00:00Z");
+const dayEnd = dayStart + 24 * HOUR;
+
+const visit = (zoneId, assetId, enteredAt, exitedAt) => ({
+  zoneId,
+  zoneName: `Zone ${zoneId}`,
+  assetId,
+  enteredAt,
+  exitedAt,
+});
+
+test("clipVisit cuts open and overlapping visits to the window", () => {
+  expect(
+    clipVisit(visit(1, "a", null, dayStart + HOUR), dayStart, dayEnd)
+  ).toMatchObject({ start: dayStart, end: dayStart + HOUR });
+  expect(
+    clipVisit(
+      visit(1, "a", dayEnd - HOUR, null),
+      dayStart,
+      dayEnd,
+      dayEnd + HOUR
+    )
+  ).toMatchObject({ start: dayEnd - HOUR, end: dayEnd });
+  expect(
+    clipVisit(visit(1, "a", dayEnd + HOUR, null), dayStart, dayEnd)
+  ).toBeNull();
+});
+
+test("timelineLanes groups bars by zone or asset with percent positions", () => {
+  const visits = [
+    visit(2, "a", dayStart + 12 * HOUR, dayStart + 18 * HOUR),
+    visit(1, "a", dayStart + 6 * HOUR, dayStart + 12 * HOUR),
+    visit(1, "b", dayStart, dayStart + 6 * HOUR),
+  ];
+
+  const byZone = timelineLanes(visits, "zone", dayStart, dayEnd);
+  expect(byZone.map((lane) => lane.label)).toEqual(["Zone 1", "Zone 2"]);
+  expect(byZone[0].bars.map((bar) => [bar.left, bar.width])).toEqual([
+    [0, 25],
+    [25, 25],
+  ]);
+
+  const byAsset = timelineLanes(visits, "asset", dayStart, dayEnd);
+  expect(byAsset.map((lane) => lane.bars.length)).toEqual([2, 1]);
+});
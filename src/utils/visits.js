@@ -0,0 +1,120 @@
+import dayjs from "dayjs";
+import { ENTRY_EVENT_TYPES, EXIT_EVENT_TYPES } from "./events";
+
+// Pairs entry and exit events into visits, per asset and zone. A visit whose
+// entry or exit falls outside the given logs has a null time at that end and
+// a null duration.
+
+const visitKey = (log) => `${log.assetId ?? ""}|${log.zoneId}`;
+
+const toVisit = (enterLog, exitLog) => {
+  const source = enterLog || exitLog;
+  const enteredAt = enterLog ? new Date(enterLog.timestamp).getTime() : null;
+  const exitedAt = exitLog ? new Date(exitLog.timestamp).getTime() : null;
+  return {
+    assetId: source.assetId ?? null,
+    zoneId: source.zoneId,
+    zoneName: source.zoneName,
+    enteredAt,
+    exitedAt,
+    durationMs: enterLog && exitLog ? exitedAt - enteredAt : null,
+    enterLog,
+    exitLog,
+  };
+};
+
+export const pairVisits = (logs) => {
+  const ordered = [...logs].sort(
+    (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+  );
+  const open = new Map();
+  const visits = [];
+
+  ordered.forEach((log) => {
+    const key = visitKey(log);
+    if (ENTRY_EVENT_TYPES.includes(log.type)) {
+      // Two entries in a row: the exit in between was never logged
+      if (open.has(key)) visits.push(toVisit(open.get(key), null));
+      open.set(key, log);
+    } else if (EXIT_EVENT_TYPES.includes(log.type)) {
+      visits.push(toVisit(open.get(key) || null, log));
+      open.delete(key);
+    }
+  });
+
+  open.forEach((enterLog) => visits.push(toVisit(enterLog, null)));
+  return visits;
+};
+
+// Maps each exit event to the length of the stay it closed
+export const dwellByExit = (logs) => {
+  const dwell = new Map();
+  pairVisits(logs).forEach((visit) => {
+    if (visit.exitLog && visit.durationMs !== null) {
+      dwell.set(visit.exitLog, visit.durationMs);
+    }
+  });
+  return dwell;
+};
+
+const DAY_FORMAT = "YYYY-MM-DD";
+
+// Per-zone visit counts and dwell times, busiest zone first. Visits count by
+// entry; dwell figures only use visits with both ends.
+export const zoneDwellStats = (visits) => {
+  const byZone = new Map();
+  visits.forEach((visit) => {
+    const key = String(visit.zoneId);
+    if (!byZone.has(key)) {
+      byZone.set(key, {
+        zoneId: visit.zoneId,
+        zoneName: visit.zoneName,
+        visits: 0,
+        completed: 0,
+        totalMs: 0,
+        maxMs: 0,
+      });
+    }
+    const stats = byZone.get(key);
+    if (visit.enteredAt !== null) stats.visits += 1;
+    if (visit.durationMs !== null) {
+      stats.completed += 1;
+      stats.totalMs += visit.durationMs;
+      stats.maxMs = Math.max(stats.maxMs, visit.durationMs);
+    }
+  });
+
+  return [...byZone.values()]
+    .map((stats) => ({
+      ...stats,
+      averageMs: stats.completed ? stats.totalMs / stats.completed : 0,
+    }))
+    .sort((a, b) => b.visits - a.visits || b.totalMs - a.totalMs);
+};
+
+// Entries per local hour of day, index 0 = midnight
+export const visitsByHour = (visits) => {
+  const counts = new Array(24).fill(0);
+  visits.forEach(({ enteredAt }) => {
+    if (enteredAt !== null) counts[new Date(enteredAt).getHours()] += 1;
+  });
+  return counts;
+};
+
+// Entries per local calendar day from `from` to `to`, including empty days
+export const visitsByDay = (visits, from, to) => {
+  const counts = new Map();
+  for (
+    let day = dayjs(from).startOf("day");
+    !day.isAfter(dayjs(to), "day");
+    day = day.add(1, "day")
+  ) {
+    counts.set(day.format(DAY_FORMAT), 0);
+  }
+  visits.forEach(({ enteredAt }) => {
+    if (enteredAt === null) return;
+    const day = dayjs(enteredAt).format(DAY_FORMAT);
+    if (counts.has(day)) counts.set(day, counts.get(day) + 1);
+  });
+  return [...counts].map(([day, count]) => ({ day, count }));
+};
@@ -0,0 +1,88 @@
+import {
+  dwellByExit,
+  pairVisits,
+  visitsByDay,
+  visitsByHour,
+  zoneDwellStats,
+} from "./visits";
+
+const log = (type, minute, extra = {}) => ({
+  assetId: "a",
+  zoneId: "z1",
+  zoneName: "Dock",
+  type,
+  timestamp: `2024-01-01T10:${String(minute).padStart(2, "0")}:00Z`,
+  ...extra,
+});
+
+test("pairVisits pairs entries and exits per asset and zone", () => {
+  const visits = pairVisits([
+    log("EXIT", 20),
+    log("ENTER", 5, { assetId: "b" }),
+    log("ENTER", 0),
+    log("EXIT", 15, { assetId: "b" }),
+  ]);
+
+  expect(visits.map((v) => [v.assetId, v.durationMs])).toEqual([
+    ["b", 10 * 60000],
+    ["a", 20 * 60000],
+  ]);
+});
+
+test("pairVisits keeps visits with a missing end open", () => {
+  const visits = pairVisits([
+    log("EXIT", 1),
+    log("ENTER", 2),
+    log("ENTER", 3),
+    log("CORRIDOR_ENTER", 4, { zoneId: "c1" }),
+  ]);
+
+  expect(
+    visits.map((v) => [v.zoneId, v.enteredAt !== null, v.exitedAt !== null])
+  ).toEqual([
+    ["z1", false, true],
+    ["z1", true, false],
+    ["z1", true, false],
+    ["c1", true, false],
+  ]);
+  expect(visits.every((v) => v.durationMs === null)).toBe(true);
+});
+
+test("dwellByExit maps exit events to their stay", () => {
+  const exit = log("EXIT", 30);
+  expect(dwellByExit([log("ENTER", 0), exit]).get(exit)).toBe(30 * 60000);
+});
+
+test("zoneDwellStats ranks zones by visits with dwell totals", () => {
+  const visits = pairVisits([
+    log("ENTER", 0),
+    log("EXIT", 10),
+    log("ENTER", 20),
+    log("EXIT", 50),
+    log("ENTER", 5, { zoneId: "z2", zoneName: "Gate" }),
+  ]);
+  const [dock, gate] = zoneDwellStats(visits);
+
+  expect(dock).toMatchObject({
+    zoneName: "Dock",
+    visits: 2,
+    totalMs: 40 * 60000,
+    averageMs: 20 * 60000,
+    maxMs: 30 * 60000,
+  });
+  expect(gate).toMatchObject({ visits: 1, completed: 0, averageMs: 0 });
+});
+
+test("visitsByHour and visitsByDay bucket visits by entry time", () => {
+  const enteredAt = new Date(2024, 0, 2, 14, 30).getTime();
+  const visits = [{ enteredAt }, { enteredAt: null }];
+
+  expect(visitsByHour(visits)[14]).toBe(1);
+  expect(
+    visitsByDay(visits, new Date(2024, 0, 1), new Date(2024, 0, 3, 8))
+  ).toEqual([
+    { day: "2024-01-01", count: 0 },
+    { day: "2024-01-02", count: 1 },
+    { day: "2024-01-03", count: 0 },
+  ]);
+});
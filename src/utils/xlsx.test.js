@@ -0,0 +1,23 @@
+import JSZip from "jszip";
+import { buildXlsx, XLSX_MIME_TYPE } from "./xlsx";
+
+test("buildXlsx packages a workbook with one named sheet", async () => {
+  const blob = await buildXlsx("Zone events: July", ["zone"], [["Dock"]]);
+  expect(blob.type).toBe(XLSX_MIME_TYPE);
+
+  const zip = await JSZip.loadAsync(blob);
+  expect(Object.keys(zip.files).sort()).toEqual([
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "xl/_rels/workbook.xml.rels",
+    "xl/styles.xml",
+    "xl/workbook.xml",
+    "xl/worksheets/sheet1.xml",
+  ]);
+  expect(await zip.file("xl/workbook.xml").async("string")).toContain(
+    '<sheet name="Zone events July"'
+  );
+  expect(await zip.file("xl/worksheets/sheet1.xml").async("string")).toContain(
+    '<t xml:space="preserve">Dock</t>'
+  );
+});
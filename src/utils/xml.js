@@ -0,0 +1,19 @@
+// Text escaping shared by the KML and XLSX writers
+
+// Control characters other than tab, newline and carriage return are not
+// allowed in XML 1.0
+const isXmlChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+};
+
+// Drops characters XML cannot hold and escapes markup, for element text and
+// double-quoted attributes
+export const escapeXml = (value) =>
+  Array.from(String(value))
+    .filter(isXmlChar)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
@@ -0,0 +1,9 @@
+import { escapeXml } from "./xml";
+
+test("escapeXml escapes markup and drops control characters", () => {
+  expect(escapeXml('<a href="x">R&D</a>')).toBe(
+    "&lt;a href=&quot;x&quot;&gt;R&amp;D&lt;/a&gt;"
+  );
+  expect(escapeXml("bell\u0007\ttab\nline")).toBe("bell\ttab\nline");
+  expect(escapeXml(42)).toBe("42");
+});
@@ -0,0 +1,197 @@
+// Serialises zones for sharing: GeoJSON FeatureCollection, KML and CSV/WKT
+import { approachRuleFields } from "./approach";
+import { dwellRuleFields } from "./dwellRules";
+import { speedRuleFields } from "./speedLimits";
+import { scheduleFields } from "./zoneSchedule";
+import { corridorWidth, isCorridorZone } from "./geofence";
+import { toCsv } from "./download";
+import { escapeXml } from "./xml";
+import { zoneProperties } from "./zoneProperties";
+
+export const zoneToFeature = (zone) => ({
+  type: "Feature",
+  id: zone.id,
+  geometry: zone.geojson,
+  properties: {
+    ...zone.properties,
+    id: zone.id,
+    name: zone.name,
+    ...zoneProperties(zone),
+    ...(isCorridorZone(zone) ? { corridorWidth: corridorWidth(zone) } : {}),
+    ...dwellRuleFields(zone),
+    ...approachRuleFields(zone),
+    ...speedRuleFields(zone),
+    ...scheduleFields(zone),
+  },
+});
+
+export const zonesToGeoJSON = (zones) =>
+  JSON.stringify(
+    { type: "FeatureCollection", features: zones.map(zoneToFeature) },
+    null,
+    2
+  );
+
+const positionsWkt = (positions) =>
+  `(${positions.map(([x, y]) => `${x} ${y}`).join(", ")})`;
+
+const polygonWkt = (rings) => `(${rings.map(positionsWkt).join(", ")})`;
+
+export const toWkt = (geojson) => {
+  switch (geojson.type) {
+    case "Polygon":
+      return `POLYGON ${polygonWkt(geojson.coordinates)}`;
+    case "MultiPolygon":
+      return `MULTIPOLYGON (${geojson.coordinates.map(polygonWkt).join(", ")})`;
+    case "LineString":
+      return `LINESTRING ${positionsWkt(geojson.coordinates)}`;
+    default:
+      throw new Error(`Unsupported geometry type ${geojson.type}`);
+  }
+};
+
+export const zonesToCsv = (zones) =>
+  toCsv(
+    [
+      "id",
+      "name",
+      "category",
+      "priority",
+      "color",
+      "description",
+      "corridor_width_m",
+      "min_dwell_minutes",
+      "max_dwell_minutes",
+      "approach_radius_m",
+      "speed_limit_kmh",
+      "schedule",
+      "wkt",
+    ],
+    zones.map((zone) => {
+      const { category, priority, color, description } = zoneProperties(zone);
+      const { minDwellMinutes = "", maxDwellMinutes = "" } =
+        dwellRuleFields(zone);
+      const { approachRadiusMeters = "" } = approachRuleFields(zone);
+      const { speedLimitKmh = "" } = speedRuleFields(zone);
+      const { schedule } = scheduleFields(zone);
+      return [
+        zone.id,
+        zone.name,
+        category,
+        priority,
+        color,
+        description,
+        isCorridorZone(zone) ? corridorWidth(zone) : "",
+        minDwellMinutes,
+        maxDwellMinutes,
+        approachRadiusMeters,
+        speedLimitKmh,
+        schedule ? JSON.stringify(schedule) : "",
+        toWkt(zone.geojson),
+      ];
+    })
+  );
+
+// #rrggbb -> KML aabbggrr with the given alpha
+const kmlColor = (hex, alpha) =>
+  `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(
+    1,
+    3
+  )}`.toLowerCase();
+
+const coordinatesKml = (positions) =>
+  `<coordinates>${positions
+    .map(([x, y]) => `${x},${y}`)
+    .join(" ")}</coordinates>`;
+
+const polygonKml = ([outer, ...holes]) =>
+  `<Polygon><outerBoundaryIs><LinearRing>${coordinatesKml(
+    outer
+  )}</LinearRing></outerBoundaryIs>${holes
+    .map(
+      (hole) =>
+        `<innerBoundaryIs><LinearRing>${coordinatesKml(
+          hole
+        )}</LinearRing></innerBoundaryIs>`
+    )
+    .join("")}</Polygon>`;
+
+const geometryKml = (geojson) => {
+  switch (geojson.type) {
+    case "Polygon":
+      return polygonKml(geojson.coordinates);
+    case "MultiPolygon":
+      return `<MultiGeometry>${geojson.coordinates
+        .map(polygonKml)
+        .join("")}</MultiGeometry>`;
+    case "LineString":
+      return `<LineString>${coordinatesKml(geojson.coordinates)}</LineString>`;
+    default:
+      throw new Error(`Unsupported geometry type ${geojson.type}`);
+  }
+};
+
+const placemarkKml = (zone) => {
+  const { properties } = zoneToFeature(zone);
+  const { name, description, color } = properties;
+  const data = Object.entries(properties)
+    .filter(([key]) => !["name", "description"].includes(key))
+    .map(
+      ([key, value]) =>
+        `<Data name="${escapeXml(key)}"><value>${escapeXml(
+          typeof value === "object" ? JSON.stringify(value) : value
+        )}</value></Data>`
+    )
+    .join("");
+
+  return [
+    "<Placemark>",
+    `<name>${escapeXml(name)}</name>`,
+    description ? `<description>${escapeXml(description)}</description>` : "",
+    `<Style><LineStyle><color>${kmlColor(
+      color,
+      "ff"
+    )}</color><width>2</width></LineStyle><PolyStyle><color>${kmlColor(
+      color,
+      "33"
+    )}</color></PolyStyle></Style>`,
+    `<ExtendedData>${data}</ExtendedData>`,
+    geometryKml(zone.geojson),
+    "</Placemark>",
+  ].join("");
+};
+
+export const zonesToKml = (zones) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    "<name>Zones</name>",
+    ...zones.map(placemarkKml),
+    "</Document>",
+    "</kml>",
+  ].join("\n");
+
+export const ZONE_EXPORT_FORMATS = [
+  {
+    value: "geojson",
+    label: "GeoJSON",
+    extension: "geojson",
+    mimeType: "application/geo+json",
+    serialize: zonesToGeoJSON,
+  },
+  {
+    value: "kml",
+    label: "KML",
+    extension: "kml",
+    mimeType: "application/vnd.google-earth.kml+xml",
+    serialize: zonesToKml,
+  },
+  {
+    value: "csv",
+    label: "CSV (WKT)",
+    extension: "csv",
+    mimeType: "text/csv",
+    serialize: zonesToCsv,
+  },
+];
@@ -0,0 +1,96 @@
+import { parseKml } from "./kmlImport";
+import { toWkt, zonesToCsv, zonesToGeoJSON, zonesToKml } from "./zoneExport";
+
+const yard = {
+  id: "z1",
+  name: 'Yard "A", north',
+  color: "#00ff00",
+  category: "loading",
+  properties: { owner: "ACME" },
+  geojson: {
+    type: "Polygon",
+    coordinates: [
+      [
+        [0, 0],
+        [10, 0],
+        [10, 10],
+        [0, 0],
+      ],
+      [
+        [2, 1],
+        [3, 1],
+        [3, 2],
+        [2, 1],
+      ],
+    ],
+  },
+};
+
+test("toWkt renders polygons with holes and lines", () => {
+  expect(toWkt(yard.geojson)).toBe(
+    "POLYGON ((0 0, 10 0, 10 10, 0 0), (2 1, 3 1, 3 2, 2 1))"
+  );
+  expect(
+    toWkt({
+      type: "LineString",
+      coordinates: [
+        [0, 0],
+        [1, 1],
+      ],
+    })
+  ).toBe("LINESTRING (0 0, 1 1)");
+});
+
+test("zonesToCsv quotes fields containing commas and quotes", () => {
+  const [header, row] = zonesToCsv([yard]).split("\r\n");
+
+  expect(header).toBe(
+    "id,name,category,priority,color,description,corridor_width_m," +
+      "min_dwell_minutes,max_dwell_minutes,approach_radius_m," +
+      "speed_limit_kmh,schedule,wkt"
+  );
+  expect(
+    row.startsWith('z1,"Yard ""A"", north",loading,medium,#00ff00,,,,,,,,')
+  ).toBe(true);
+});
+
+test("zonesToCsv writes zone rules", () => {
+  const [, row] = zonesToCsv([
+    {
+      ...yard,
+      name: "Gate",
+      minDwellMinutes: "",
+      maxDwellMinutes: 45,
+      approachRadiusMeters: 250,
+      speedLimitKmh: 30,
+      schedule: { timezone: "UTC", windows: [] },
+    },
+  ]).split("\r\n");
+
+  expect(row).toMatch(/^z1,Gate,loading,medium,#00ff00,,,,45,250,30,/);
+  expect(row).toContain(
+    ',"{""timezone"":""UTC"",""windows"":[],""exceptions"":[]}","POLYGON'
+  );
+});
+
+test("zonesToGeoJSON keeps zone properties on each feature", () => {
+  const { features } = JSON.parse(zonesToGeoJSON([yard]));
+
+  expect(features[0].properties).toMatchObject({
+    id: "z1",
+    owner: "ACME",
+    category: "loading",
+  });
+});
+
+test("zonesToKml round-trips through the KML importer", () => {
+  const { features } = parseKml(zonesToKml([yard]));
+
+  expect(features).toHaveLength(1);
+  expect(features[0].geojson).toEqual(yard.geojson);
+  expect(features[0].properties).toMatchObject({
+    name: yard.name,
+    color: "#00ff00",
+    owner: "ACME",
+  });
+});
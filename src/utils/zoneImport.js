@@ -0,0 +1,155 @@
+// Turns uploaded GeoJSON (bare geometry, Feature or FeatureCollection) into
+// zone candidates for the creation and import dialogs.
+import { approachRuleFields } from "./approach";
+import { dwellRuleFields } from "./dwellRules";
+import { speedRuleFields } from "./speedLimits";
+import { scheduleFields } from "./zoneSchedule";
+import { HEX_COLOR, ZONE_CATEGORIES, ZONE_PRIORITIES } from "./zoneProperties";
+
+export const SUPPORTED_GEOMETRY_TYPES = [
+  "Polygon",
+  "MultiPolygon",
+  "LineString",
+];
+
+const isSupportedType = (geometry) =>
+  Boolean(
+    geometry &&
+      SUPPORTED_GEOMETRY_TYPES.includes(geometry.type) &&
+      Array.isArray(geometry.coordinates)
+  );
+
+// Lines need 2 positions and closed rings 4, or turf throws on them later
+const isRing = (ring) => Array.isArray(ring) && ring.length >= 4;
+const isPolygon = (rings) =>
+  Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+const hasEnoughPositions = ({ type, coordinates }) => {
+  if (type === "LineString") return coordinates.length >= 2;
+  if (type === "Polygon") return isPolygon(coordinates);
+  return coordinates.length > 0 && coordinates.every(isPolygon);
+};
+
+const isSupportedGeometry = (geometry) =>
+  isSupportedType(geometry) && hasEnoughPositions(geometry);
+
+// { kind: "geometry" | "features", features: [{ geojson, properties }], skipped }
+export const parseZoneGeoJSON = (json) => {
+  if (!json || !json.type) {
+    throw new Error("Invalid GeoJSON format");
+  }
+
+  if (json.type === "FeatureCollection" || json.type === "Feature") {
+    const features =
+      json.type === "Feature"
+        ? [json]
+        : Array.isArray(json.features)
+        ? json.features
+        : [];
+    const supported = features.filter((feature) =>
+      isSupportedGeometry(feature && feature.geometry)
+    );
+
+    return {
+      kind: "features",
+      features: supported.map((feature) => ({
+        geojson: feature.geometry,
+        properties: feature.properties || {},
+      })),
+      skipped: features.length - supported.length,
+    };
+  }
+
+  if (!json.coordinates) {
+    throw new Error("Invalid GeoJSON format");
+  }
+  if (!isSupportedType(json)) {
+    throw new Error("Only Polygon, MultiPolygon, or LineString supported");
+  }
+  if (!hasEnoughPositions(json)) {
+    throw new Error("Geometry has too few positions");
+  }
+
+  return {
+    kind: "geometry",
+    features: [{ geojson: json, properties: {} }],
+    skipped: 0,
+  };
+};
+
+// Union of property keys across features, in first-seen order
+export const featurePropertyKeys = (features) => [
+  ...new Set(features.flatMap((feature) => Object.keys(feature.properties))),
+];
+
+const NAME_KEY_CANDIDATES = ["name", "title", "label", "zone", "id"];
+
+export const guessNameProperty = (keys) =>
+  NAME_KEY_CANDIDATES.map((candidate) =>
+    keys.find((key) => key.toLowerCase() === candidate)
+  ).find(Boolean) ||
+  keys[0] ||
+  "";
+
+const pickKey = (properties, keys) =>
+  keys.find((key) => properties[key] !== undefined && properties[key] !== "");
+
+// Maps a feature's properties onto zone fields. Recognised keys (color/fill/
+// stroke, category, priority, description, width, dwell, approach and speed
+// rules, schedule) become zone fields; every other property except the name
+// is kept under `properties`.
+export const featureToZoneFields = (feature, nameKey, fallbackName) => {
+  const props = feature.properties;
+  const fields = {
+    name: String(props[nameKey] ?? "").trim() || fallbackName,
+  };
+  const used = new Set([nameKey]);
+
+  const colorKey = pickKey(props, ["color", "fill", "stroke"]);
+  if (colorKey && HEX_COLOR.test(props[colorKey])) {
+    fields.color = props[colorKey];
+    used.add(colorKey);
+  }
+
+  const category = String(props.category ?? "").toLowerCase();
+  if (ZONE_CATEGORIES.some((c) => c.value === category)) {
+    fields.category = category;
+    used.add("category");
+  }
+
+  const priority = String(props.priority ?? "").toLowerCase();
+  if (ZONE_PRIORITIES.some((p) => p.value === priority)) {
+    fields.priority = priority;
+    used.add("priority");
+  }
+
+  const descriptionKey = pickKey(props, ["description", "desc"]);
+  if (descriptionKey) {
+    fields.description = String(props[descriptionKey]);
+    used.add(descriptionKey);
+  }
+
+  const widthKey = pickKey(props, ["corridorWidth", "width"]);
+  if (feature.geojson.type === "LineString" && Number(props[widthKey]) > 0) {
+    fields.corridorWidth = Number(props[widthKey]);
+    used.add(widthKey);
+  }
+
+  const rules = {
+    ...dwellRuleFields(props),
+    ...approachRuleFields(props),
+    ...speedRuleFields(props),
+    ...scheduleFields(props),
+  };
+  Object.keys(rules).forEach((key) => used.add(key));
+  Object.assign(fields, rules);
+
+  const rest = Object.fromEntries(
+    Object.entries(props).filter(([key]) => !used.has(key))
+  );
+  if (Object.keys(rest).length > 0) {
+    fields.properties = rest;
+  }
+
+  return fields;
+};
@@ -0,0 +1,115 @@
+import {
+  featureToZoneFields,
+  guessNameProperty,
+  parseZoneGeoJSON,
+} from "./zoneImport";
+
+const polygon = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [0, 0],
+      [1, 0],
+      [1, 1],
+      [0, 0],
+    ],
+  ],
+};
+
+test("parseZoneGeoJSON accepts a bare geometry", () => {
+  expect(parseZoneGeoJSON(polygon)).toEqual({
+    kind: "geometry",
+    features: [{ geojson: polygon, properties: {} }],
+    skipped: 0,
+  });
+});
+
+test("parseZoneGeoJSON splits FeatureCollections and skips unsupported geometries", () => {
+  const parsed = parseZoneGeoJSON({
+    type: "FeatureCollection",
+    features: [
+      { type: "Feature", geometry: polygon, properties: { NAME: "Yard" } },
+      {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [0, 0] },
+        properties: {},
+      },
+      { type: "Feature", geometry: null, properties: {} },
+      {
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: [[0, 0]] },
+        properties: {},
+      },
+    ],
+  });
+
+  expect(parsed.kind).toBe("features");
+  expect(parsed.features).toHaveLength(1);
+  expect(parsed.skipped).toBe(3);
+});
+
+test("parseZoneGeoJSON rejects unsupported bare geometries", () => {
+  expect(() =>
+    parseZoneGeoJSON({ type: "Point", coordinates: [0, 0] })
+  ).toThrow("Only Polygon, MultiPolygon, or LineString supported");
+  expect(() =>
+    parseZoneGeoJSON({
+      type: "Polygon",
+      coordinates: [
+        [
+          [0, 0],
+          [1, 0],
+          [0, 0],
+        ],
+      ],
+    })
+  ).toThrow("Geometry has too few positions");
+  expect(() =>
+    parseZoneGeoJSON({ type: "MultiPolygon", coordinates: [[]] })
+  ).toThrow("Geometry has too few positions");
+});
+
+test("guessNameProperty prefers name-like keys", () => {
+  expect(guessNameProperty(["fid", "Title", "NAME"])).toBe("NAME");
+  expect(guessNameProperty(["fid", "code"])).toBe("fid");
+});
+
+test("featureToZoneFields maps known properties and keeps the rest", () => {
+  const fields = featureToZoneFields(
+    {
+      geojson: polygon,
+      properties: {
+        site: "Bay 4",
+        fill: "#00ff00",
+        category: "Loading",
+        owner: "ACME",
+      },
+    },
+    "site",
+    "Zone 1"
+  );
+
+  expect(fields).toEqual({
+    name: "Bay 4",
+    color: "#00ff00",
+    category: "loading",
+    properties: { owner: "ACME" },
+  });
+});
+
+test("featureToZoneFields picks up dwell rules", () => {
+  const fields = featureToZoneFields(
+    {
+      geojson: polygon,
+      properties: { name: "Gate", minDwellMinutes: 5, maxDwellMinutes: "0" },
+    },
+    "name",
+    "Zone 1"
+  );
+
+  expect(fields).toEqual({
+    name: "Gate",
+    minDwellMinutes: 5,
+    properties: { maxDwellMinutes: "0" },
+  });
+});
@@ -0,0 +1,112 @@
+// Builds google.maps overlays for zones. Requires the Maps API to be loaded.
+import { corridorGeometry } from "./geofence";
+import { priorityRank, zoneProperties } from "./zoneProperties";
+
+// Shoelace formula; positive for counter-clockwise rings
+const signedArea = (ring) =>
+  ring.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    return sum + (x1 * y2 - x2 * y1);
+  }, 0) / 2;
+
+// Google Maps only cuts a hole when the inner path winds opposite to the
+// outer one, so outer rings are forced counter-clockwise and holes clockwise
+const orientRing = (ring, clockwise) => {
+  const isClockwise = signedArea(ring) < 0;
+  return isClockwise === clockwise ? ring : [...ring].reverse();
+};
+
+const isClosed = (ring) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+};
+
+const openRing = (ring) => (isClosed(ring) ? ring.slice(0, -1) : ring);
+
+const closeRing = (ring) => (isClosed(ring) ? ring : [...ring, ring[0]]);
+
+// Paths for google.maps.Polygon, which closes them itself: the repeated
+// closing position of a GeoJSON ring would become a second vertex handle
+export const polygonPaths = (geojson) => {
+  const polygons =
+    geojson.type === "MultiPolygon"
+      ? geojson.coordinates
+      : [geojson.coordinates];
+
+  return polygons.flatMap((rings) =>
+    rings.map((ring, index) =>
+      orientRing(openRing(ring), index > 0).map(([lng, lat]) => ({ lat, lng }))
+    )
+  );
+};
+
+// Inverse of polygonPaths: turns edited overlay paths ([{ lat, lng }] lists)
+// back into GeoJSON shaped like the zone's original geometry
+export const pathsToGeoJSON = (geojson, paths) => {
+  const toPositions = (path) => path.map(({ lat, lng }) => [lng, lat]);
+
+  if (geojson.type === "LineString") {
+    return { type: "LineString", coordinates: toPositions(paths[0]) };
+  }
+
+  const rings = paths.map((path) => closeRing(toPositions(path)));
+
+  if (geojson.type === "MultiPolygon") {
+    let offset = 0;
+    return {
+      type: "MultiPolygon",
+      coordinates: geojson.coordinates.map((polygon) => {
+        const group = rings.slice(offset, offset + polygon.length);
+        offset += polygon.length;
+        return group;
+      }),
+    };
+  }
+
+  return { type: "Polygon", coordinates: rings };
+};
+
+// Color comes from the zone; higher priority zones draw thicker and on top
+const zoneStyle = (zone) => {
+  const { color, priority } = zoneProperties(zone);
+  const rank = priorityRank(priority);
+
+  return {
+    strokeColor: color,
+    strokeWeight: 1 + rank,
+    fillColor: color,
+    zIndex: rank,
+  };
+};
+
+// Dormant scheduled zones fade to an outline; active ones keep their fill
+export const zoneActivityOptions = (zone, active) => {
+  if (!active) return { fillOpacity: 0.03, strokeOpacity: 0.35 };
+  return {
+    fillOpacity: zone.geojson.type === "LineString" ? 0.15 : 0.2,
+    strokeOpacity: 1,
+  };
+};
+
+export const createZoneOverlay = (zone) => {
+  const { type } = zone.geojson;
+
+  if (type === "Polygon" || type === "MultiPolygon") {
+    return new window.google.maps.Polygon({
+      paths: polygonPaths(zone.geojson),
+      ...zoneStyle(zone),
+      ...zoneActivityOptions(zone, true),
+    });
+  }
+
+  if (type === "LineString") {
+    return new window.google.maps.Polygon({
+      paths: polygonPaths(corridorGeometry(zone)),
+      ...zoneStyle(zone),
+      ...zoneActivityOptions(zone, true),
+    });
+  }
+
+  return null;
+};
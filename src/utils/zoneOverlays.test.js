@@ -0,0 +1,97 @@
+import {
+  pathsToGeoJSON,
+  polygonPaths,
+  zoneActivityOptions,
+} from "./zoneOverlays";
+
+const square = (minX, minY, maxX, maxY) => [
+  [minX, minY],
+  [maxX, minY],
+  [maxX, maxY],
+  [minX, maxY],
+  [minX, minY],
+];
+
+// Positive for counter-clockwise paths in lng/lat space
+const winding = (path) =>
+  path.reduce((sum, { lat, lng }, i) => {
+    const next = path[(i + 1) % path.length];
+    return sum + (lng * next.lat - next.lng * lat);
+  }, 0);
+
+test("polygonPaths flattens MultiPolygon parts into one path list", () => {
+  const paths = polygonPaths({
+    type: "MultiPolygon",
+    coordinates: [[square(0, 0, 1, 1)], [square(5, 5, 6, 6)]],
+  });
+
+  expect(paths).toHaveLength(2);
+  expect(paths[1][0]).toEqual({ lat: 5, lng: 5 });
+});
+
+test("polygonPaths drops the closing position of each ring", () => {
+  const [outer] = polygonPaths({
+    type: "Polygon",
+    coordinates: [square(0, 0, 1, 1)],
+  });
+
+  expect(outer).toHaveLength(4);
+  expect(outer[3]).not.toEqual(outer[0]);
+});
+
+test("polygonPaths winds holes opposite to their outer ring", () => {
+  const hole = square(4, 4, 6, 6); // same winding as the outer ring
+  const [outer, inner] = polygonPaths({
+    type: "Polygon",
+    coordinates: [square(0, 0, 10, 10), hole],
+  });
+
+  expect(winding(outer)).toBeGreaterThan(0);
+  expect(winding(inner)).toBeLessThan(0);
+});
+
+test("pathsToGeoJSON restores MultiPolygon grouping and closes rings", () => {
+  const geojson = {
+    type: "MultiPolygon",
+    coordinates: [
+      [square(0, 0, 10, 10), square(4, 4, 6, 6)],
+      [square(20, 20, 21, 21)],
+    ],
+  };
+  const paths = polygonPaths(geojson);
+  paths[2][0] = { lat: 19.5, lng: 19.5 }; // dragged vertex
+
+  const edited = pathsToGeoJSON(geojson, paths);
+
+  expect(edited.type).toBe("MultiPolygon");
+  expect(edited.coordinates.map((polygon) => polygon.length)).toEqual([2, 1]);
+  expect(edited.coordinates[1][0][0]).toEqual([19.5, 19.5]);
+  expect(edited.coordinates[1][0][4]).toEqual([19.5, 19.5]);
+});
+
+test("pathsToGeoJSON leaves LineString paths open", () => {
+  const edited = pathsToGeoJSON({ type: "LineString", coordinates: [] }, [
+    [
+      { lat: 0, lng: 0 },
+      { lat: 1, lng: 1 },
+    ],
+  ]);
+
+  expect(edited).toEqual({
+    type: "LineString",
+    coordinates: [
+      [0, 0],
+      [1, 1],
+    ],
+  });
+});
+
+test("zoneActivityOptions fades dormant zones", () => {
+  const corridor = { geojson: { type: "LineString", coordinates: [] } };
+
+  expect(zoneActivityOptions(corridor, true)).toEqual({
+    fillOpacity: 0.15,
+    strokeOpacity: 1,
+  });
+  expect(zoneActivityOptions(corridor, false).fillOpacity).toBeLessThan(0.15);
+});
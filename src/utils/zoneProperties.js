@@ -0,0 +1,90 @@
+import { validateApproachRadius } from "./approach";
+import { validateDwellRules } from "./dwellRules";
+import { validateSpeedLimit } from "./speedLimits";
+import { validateSchedule } from "./zoneSchedule";
+
+// Zone attributes stored alongside id/name/geojson on each zone record
+
+export const ZONE_CATEGORIES = [
+  { value: "restricted", label: "Restricted" },
+  { value: "loading", label: "Loading" },
+  { value: "parking", label: "Parking" },
+  { value: "storage", label: "Storage" },
+  { value: "office", label: "Office" },
+  { value: "other", label: "Other" },
+];
+
+export const ZONE_PRIORITIES = [
+  { value: "low", label: "Low", rank: 0 },
+  { value: "medium", label: "Medium", rank: 1 },
+  { value: "high", label: "High", rank: 2 },
+  { value: "critical", label: "Critical", rank: 3 },
+];
+
+export const DEFAULT_ZONE_PROPERTIES = {
+  color: "#FF0000",
+  category: "other",
+  priority: "medium",
+  description: "",
+};
+
+export const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const zoneProperties = (zone) => ({
+  color: HEX_COLOR.test(zone.color)
+    ? zone.color
+    : DEFAULT_ZONE_PROPERTIES.color,
+  category: ZONE_CATEGORIES.some((c) => c.value === zone.category)
+    ? zone.category
+    : DEFAULT_ZONE_PROPERTIES.category,
+  priority: ZONE_PRIORITIES.some((p) => p.value === zone.priority)
+    ? zone.priority
+    : DEFAULT_ZONE_PROPERTIES.priority,
+  description: zone.description || "",
+});
+
+export const categoryLabel = (value) =>
+  ZONE_CATEGORIES.find((c) => c.value === value)?.label || value;
+
+export const priorityLabel = (value) =>
+  ZONE_PRIORITIES.find((p) => p.value === value)?.label || value;
+
+export const priorityRank = (value) =>
+  ZONE_PRIORITIES.find((p) => p.value === value)?.rank ?? 1;
+
+// [{ category, label, zones }] in ZONE_CATEGORIES order, highest priority first
+export const groupZonesByCategory = (zones) =>
+  ZONE_CATEGORIES.map(({ value, label }) => ({
+    category: value,
+    label,
+    zones: zones
+      .filter((zone) => zoneProperties(zone).category === value)
+      .sort(
+        (a, b) =>
+          priorityRank(zoneProperties(b).priority) -
+          priorityRank(zoneProperties(a).priority)
+      ),
+  })).filter((group) => group.zones.length > 0);
+
+// Returns { field: message } for invalid form values
+export const validateZoneForm = (values, { corridor = false } = {}) => {
+  const errors = {};
+
+  if (!values.name || values.name.trim() === "") {
+    errors.name = "Zone name is required";
+  }
+  if (!HEX_COLOR.test(values.color || "")) {
+    errors.color = "Pick a color";
+  }
+  if (corridor && !(Number(values.corridorWidth) > 0)) {
+    errors.corridorWidth = "Corridor width must be a positive number";
+  }
+
+  return {
+    ...errors,
+    ...validateDwellRules(values),
+    ...validateApproachRadius(values),
+    ...validateSpeedLimit(values),
+    ...validateSchedule(values),
+  };
+};
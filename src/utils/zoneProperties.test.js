@@ -0,0 +1,36 @@
+import {
+  groupZonesByCategory,
+  validateZoneForm,
+  zoneProperties,
+} from "./zoneProperties";
+
+test("zoneProperties falls back to defaults for missing or bad values", () => {
+  expect(zoneProperties({ color: "red", category: "moon" })).toEqual({
+    color: "#FF0000",
+    category: "other",
+    priority: "medium",
+    description: "",
+  });
+});
+
+test("groupZonesByCategory orders zones by priority within a category", () => {
+  const zones = [
+    { id: 1, category: "loading", priority: "low" },
+    { id: 2, category: "restricted", priority: "medium" },
+    { id: 3, category: "loading", priority: "critical" },
+  ];
+
+  const groups = groupZonesByCategory(zones);
+
+  expect(groups.map((g) => g.category)).toEqual(["restricted", "loading"]);
+  expect(groups[1].zones.map((z) => z.id)).toEqual([3, 1]);
+});
+
+test("validateZoneForm flags a blank name and bad corridor width", () => {
+  const errors = validateZoneForm(
+    { name: " ", color: "#00FF00", corridorWidth: "0" },
+    { corridor: true }
+  );
+
+  expect(Object.keys(errors)).toEqual(["name", "corridorWidth"]);
+});
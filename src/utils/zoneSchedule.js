@@ -0,0 +1,192 @@
+// Zone schedules: a zone with a schedule is only armed inside its time
+// windows, in the schedule's timezone, and never on its exception dates.
+// Stored on the zone as
+//   schedule: { timezone, windows: [{ days, start, end }], exceptions }
+// with days as dayjs weekday numbers (0 = Sunday), times as "HH:mm" and
+// exceptions as "YYYY-MM-DD". No schedule means always active.
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const WEEKDAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+];
+
+export const DEFAULT_SCHEDULE_WINDOW = {
+  days: [1, 2, 3, 4, 5],
+  start: "08:00",
+  end: "17:00",
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_FORMAT = "YYYY-MM-DD";
+
+export const localTimezone = () => dayjs.tz.guess();
+
+export const newSchedule = () => ({
+  timezone: localTimezone(),
+  windows: [{ ...DEFAULT_SCHEDULE_WINDOW }],
+  exceptions: [],
+});
+
+export const timezoneOptions = () =>
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [localTimezone(), "UTC"];
+
+const isTimezone = (name) => {
+  try {
+    dayjs().tz(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Imported schedules may leave out windows and exceptions, but whatever is
+// there has to have the right shape before the editor or isZoneActive use it
+const isListOrMissing = (value) => value === undefined || Array.isArray(value);
+
+const isWellFormed = (schedule) =>
+  isListOrMissing(schedule.windows) &&
+  isListOrMissing(schedule.exceptions) &&
+  (schedule.windows || []).every(
+    (window) => window && Array.isArray(window.days)
+  );
+
+// First problem with the schedule as a message, null when it is usable
+export const scheduleError = (schedule) => {
+  if (!schedule.timezone || !isTimezone(schedule.timezone)) {
+    return "Pick a valid timezone";
+  }
+  if (!isWellFormed(schedule)) {
+    return "Time windows, days and exception dates must be lists";
+  }
+  const windows = schedule.windows || [];
+  if (windows.some((window) => !window.days.length)) {
+    return "Every time window needs at least one day";
+  }
+  if (
+    windows.some(
+      (window) =>
+        !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)
+    )
+  ) {
+    return "Times must be HH:mm";
+  }
+  if ((schedule.exceptions || []).some((date) => !DATE_PATTERN.test(date))) {
+    return "Exception dates must be YYYY-MM-DD";
+  }
+  return null;
+};
+
+// Returns { schedule: message } for the schedule editor of the zone form
+export const validateSchedule = (values) => {
+  const error = values.schedule ? scheduleError(values.schedule) : null;
+  return error ? { schedule: error } : {};
+};
+
+// Only set when the zone carries a usable schedule, for export and import,
+// with missing windows and exceptions filled in as empty lists. KML
+// round-trips it as a JSON string.
+export const scheduleFields = (zone) => {
+  let { schedule } = zone;
+  if (typeof schedule === "string") {
+    try {
+      schedule = JSON.parse(schedule);
+    } catch (error) {
+      return {};
+    }
+  }
+  if (!schedule || typeof schedule !== "object" || scheduleError(schedule)) {
+    return {};
+  }
+  const { windows = [], exceptions = [] } = schedule;
+  return { schedule: { ...schedule, windows, exceptions } };
+};
+
+// Windows with end <= start run past midnight and belong to the day they
+// start on; start === end covers a full 24 hours. A schedule without windows
+// is active all day except on its exception dates.
+export const isZoneActive = (zone, now = Date.now()) => {
+  const { schedule } = zone;
+  if (!schedule) return true;
+  if (!isWellFormed(schedule)) {
+    console.warn("Ignoring malformed zone schedule:", schedule);
+    return true;
+  }
+
+  let local;
+  try {
+    local = dayjs(now).tz(schedule.timezone || localTimezone());
+  } catch (error) {
+    console.warn("Invalid zone schedule timezone:", error);
+    return true;
+  }
+
+  const exceptions = new Set(schedule.exceptions || []);
+  const windows = schedule.windows || [];
+  if (!windows.length) return !exceptions.has(local.format(DATE_FORMAT));
+
+  const minutes = local.hour() * 60 + local.minute();
+  const yesterday = local.subtract(1, "day");
+  const runsOn = (window, day) =>
+    window.days.includes(day.day()) && !exceptions.has(day.format(DATE_FORMAT));
+
+  return windows.some((window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) {
+      return runsOn(window, local) && minutes >= start && minutes < end;
+    }
+    return (
+      (runsOn(window, local) && minutes >= start) ||
+      (runsOn(window, yesterday) && minutes < end)
+    );
+  });
+};
+
+export const formatDays = (days) => {
+  const sorted = WEEKDAYS.filter(({ value }) => days.includes(value));
+  if (sorted.length === 7) return "Every day";
+  if (sorted.length === 5 && !days.includes(0) && !days.includes(6)) {
+    return "Weekdays";
+  }
+  if (sorted.length === 2 && days.includes(0) && days.includes(6)) {
+    return "Weekends";
+  }
+  return sorted.map(({ label }) => label).join(", ");
+};
+
+// One-line description for the zones list
+export const scheduleSummary = (schedule) => {
+  if (!isWellFormed(schedule)) return "Invalid schedule";
+  const windows = (schedule.windows || []).map(
+    (window) => `${formatDays(window.days)} ${window.start}–${window.end}`
+  );
+  const exceptions = (schedule.exceptions || []).length;
+  return [
+    windows.length ? windows.join(", ") : "All day",
+    schedule.timezone,
+    exceptions
+      ? `${exceptions} exception date${exceptions > 1 ? "s" : ""}`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
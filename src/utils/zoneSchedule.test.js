@@ -0,0 +1,121 @@
+import {
+  formatDays,
+  isZoneActive,
+  scheduleFields,
+  scheduleSummary,
+  validateSchedule,
+} from "./zoneSchedule";
+
+// School zone: weekday mornings in New York, closed on a holiday
+const school = {
+  id: "school",
+  schedule: {
+    timezone: "America/New_York",
+    windows: [{ days: [1, 2, 3, 4, 5], start: "07:00", end: "09:00" }],
+    exceptions: ["2024-07-04"],
+  },
+};
+
+// Loading dock: every night from 22:00 to 06:00 Berlin time
+const dock = {
+  id: "dock",
+  schedule: {
+    timezone: "Europe/Berlin",
+    windows: [{ days: [0, 1, 2, 3, 4, 5, 6], start: "22:00", end: "06:00" }],
+    exceptions: [],
+  },
+};
+
+test("isZoneActive follows the schedule's timezone", () => {
+  // Wednesday 2024-07-03 07:30 in New York is 11:30 UTC
+  expect(isZoneActive(school, Date.parse("2024-07-03T11:30:00Z"))).toBe(true);
+  expect(isZoneActive(school, Date.parse("2024-07-03T13:30:00Z"))).toBe(false);
+  // Saturday morning
+  expect(isZoneActive(school, Date.parse("2024-07-06T11:30:00Z"))).toBe(false);
+  expect(isZoneActive({ id: "always" })).toBe(true);
+});
+
+test("isZoneActive skips exception dates", () => {
+  expect(isZoneActive(school, Date.parse("2024-07-04T11:30:00Z"))).toBe(false);
+});
+
+test("isZoneActive handles windows past midnight", () => {
+  // 23:30 and 05:30 Berlin summer time (UTC+2)
+  expect(isZoneActive(dock, Date.parse("2024-07-03T21:30:00Z"))).toBe(true);
+  expect(isZoneActive(dock, Date.parse("2024-07-04T03:30:00Z"))).toBe(true);
+  expect(isZoneActive(dock, Date.parse("2024-07-04T10:00:00Z"))).toBe(false);
+});
+
+test("validateSchedule reports the first problem", () => {
+  expect(validateSchedule({ schedule: null })).toEqual({});
+  expect(validateSchedule({ schedule: school.schedule })).toEqual({});
+  expect(
+    validateSchedule({
+      schedule: { ...school.schedule, timezone: "Mars/Olympus" },
+    })
+  ).toEqual({ schedule: "Pick a valid timezone" });
+  expect(
+    validateSchedule({
+      schedule: {
+        ...school.schedule,
+        windows: [{ days: [], start: "07:00", end: "09:00" }],
+      },
+    })
+  ).toEqual({ schedule: "Every time window needs at least one day" });
+});
+
+test("scheduleFields accepts objects and JSON strings", () => {
+  expect(scheduleFields(school)).toEqual({ schedule: school.schedule });
+  expect(scheduleFields({ schedule: JSON.stringify(dock.schedule) })).toEqual({
+    schedule: dock.schedule,
+  });
+  expect(scheduleFields({ schedule: "not json" })).toEqual({});
+  expect(scheduleFields({})).toEqual({});
+});
+
+test("scheduleFields fills in missing lists and rejects malformed ones", () => {
+  expect(scheduleFields({ schedule: { timezone: "UTC" } })).toEqual({
+    schedule: { timezone: "UTC", windows: [], exceptions: [] },
+  });
+  expect(
+    scheduleFields({ schedule: { timezone: "UTC", windows: "weekdays" } })
+  ).toEqual({});
+  expect(
+    scheduleFields({
+      schedule: {
+        timezone: "UTC",
+        windows: [{ days: "1,2", start: "07:00", end: "09:00" }],
+      },
+    })
+  ).toEqual({});
+  expect(
+    scheduleFields({ schedule: { timezone: "UTC", exceptions: "2024-07-04" } })
+  ).toEqual({});
+});
+
+test("isZoneActive treats a malformed schedule as always active", () => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  const zone = {
+    schedule: {
+      timezone: "UTC",
+      windows: [{ days: 1, start: "07:00", end: "09:00" }],
+    },
+  };
+
+  expect(isZoneActive(zone, Date.parse("2024-07-03T11:30:00Z"))).toBe(true);
+  console.warn.mockRestore();
+});
+
+test("scheduleSummary describes windows and exceptions", () => {
+  expect(formatDays([6, 0])).toBe("Weekends");
+  expect(formatDays([3, 1])).toBe("Mon, Wed");
+  expect(scheduleSummary(school.schedule)).toBe(
+    "Weekdays 07:00–09:00 · America/New_York · 1 exception date"
+  );
+  expect(scheduleSummary(dock.schedule)).toBe(
+    "Every day 22:00–06:00 · Europe/Berlin"
+  );
+  expect(scheduleSummary({ timezone: "UTC", windows: {} })).toBe(
+    "Invalid schedule"
+  );
+});